@@ -0,0 +1,115 @@
+/**
+ * attachments.js — X Stream & Play
+ * Large per-entry fields kept in IndexedDB instead of localStorage: custom
+ * thumbnails (data URLs, v.thumb) and the text of subtitle files attached
+ * from disk (v.subtitles[].text). A few of those would fill the ~5 MB
+ * localStorage quota. Library entries keep the fields in memory as before;
+ * slimEntry() strips them for localStorage and saveAttachments() writes them
+ * here, keyed by entry id. Entries saved before this existed still carry the
+ * fields inline and move over on their next save.
+ */
+
+const DB_NAME = 'xstream_attachments';
+const STORE   = 'attachments';   // entry id → { thumb?, subtitles?: { [subtitle id]: text } }
+
+// ── State ──────────────────────────────────────────────────────────────────
+const written = new Map();   // entry id → record last written (skip unchanged ones)
+let dbPromise = null;
+let loaded    = false;       // Stored fields merged into the entries
+
+// ─── Public API ────────────────────────────────────────────────────────────
+// Merge stored fields into `entries` (in place). Fields already present
+// inline (older saves) win. Resolves once done; without IndexedDB entries
+// simply stay whole in localStorage.
+export async function loadAttachments(entries) {
+  const stored = await _tx('readonly', s => s.getAll()).catch(() => null);
+  const keys   = stored && await _tx('readonly', s => s.getAllKeys()).catch(() => null);
+  if (!keys) return;
+  const byId   = new Map(keys.map((k, i) => [k, stored[i]]));
+  byId.forEach((rec, id) => written.set(id, rec));   // Records of removed entries go on the next save
+  entries.forEach(v => {
+    const rec = byId.get(v.id);
+    if (!rec) return;
+    if (rec.thumb && !v.thumb) v.thumb = rec.thumb;
+    (v.subtitles || []).forEach(t => {
+      if (t.text == null && rec.subtitles?.[t.id] != null) t.text = rec.subtitles[t.id];
+    });
+  });
+  loaded = true;
+}
+
+// Copy of `v` without the large fields — only once they are safe in
+// IndexedDB; until loadAttachments() finishes, entries are stored whole.
+export function slimEntry(v) {
+  if (!loaded || (!v.thumb && !v.subtitles?.some(t => t.text != null))) return v;
+  const { thumb, ...rest } = v;
+  if (v.subtitles) rest.subtitles = v.subtitles.map(({ text, ...t }) => t);
+  return rest;
+}
+
+// Write changed fields of `entries`; records of entries not listed are
+// deleted. Resolves false when IndexedDB refused the write — slimEntry()
+// then stops stripping, so the caller can store the entries whole instead.
+export async function saveAttachments(entries) {
+  if (!loaded) return true;
+  const ops = [];
+  const ids = new Set();
+  entries.forEach(v => {
+    ids.add(v.id);
+    const rec = _recordOf(v);
+    if (_same(rec, written.get(v.id))) return;
+    written.set(v.id, rec);
+    ops.push(rec ? s => s.put(rec, v.id) : s => s.delete(v.id));
+  });
+  [...written.keys()].filter(id => !ids.has(id)).forEach(id => {
+    written.delete(id);
+    ops.push(s => s.delete(id));
+  });
+  if (!ops.length) return true;
+  return _tx('readwrite', s => { ops.forEach(op => op(s)); }).then(() => true, () => {
+    loaded = false;
+    written.clear();
+    return false;
+  });
+}
+
+// ─── Helpers ───────────────────────────────────────────────────────────────
+function _recordOf(v) {
+  const subs = {};
+  (v.subtitles || []).forEach(t => { if (t.text != null) subs[t.id] = t.text; });
+  const rec = {};
+  if (v.thumb) rec.thumb = v.thumb;
+  if (Object.keys(subs).length) rec.subtitles = subs;
+  return Object.keys(rec).length ? rec : null;
+}
+
+function _same(a, b) {
+  if (!a || !b) return !a && !b;
+  const subsA = a.subtitles || {}, subsB = b.subtitles || {};
+  const keys  = Object.keys(subsA);
+  return a.thumb === b.thumb
+    && keys.length === Object.keys(subsB).length
+    && keys.every(k => subsA[k] === subsB[k]);
+}
+
+function _db() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+function _tx(mode, fn) {
+  return _db().then(db => new Promise((resolve, reject) => {
+    const tx  = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  }));
+}
@@ -0,0 +1,277 @@
+/**
+ * chapters.js — X Stream & Play
+ * Points of interest on the timeline: chapters (from a WebVTT chapter file
+ * saved with the entry, or HLS #EXT-X-DATERANGE tags) and user bookmarks
+ * (saved with the entry through onChange). Draws markers on the scrubber and
+ * fills the chapter list panel.
+ */
+
+import { parseVtt } from './subtitles.js';
+import { fmtTime } from './format.js';
+
+// ── State ──────────────────────────────────────────────────────────────────
+let chapters  = [];     // [{ start, end, title }] sorted by start
+let bookmarks = [];     // [{ time, label }] sorted by time
+let fromTrack = false;  // A chapter file wins over stream date ranges
+let hls       = null;
+let sourceGen = 0;
+let currentIdx = -1;
+
+let deps = { onChange: () => {}, notify: () => {} };
+
+// ── DOM Refs ───────────────────────────────────────────────────────────────
+let video, markersEl, panel, listEl, toggleBtn;
+
+// ─────────────────────────────────────────────────────────────────────────
+export function initChapters(d) {
+  ({ video, panel } = d);
+  markersEl = d.markers;
+  listEl    = d.list;
+  toggleBtn = d.button;
+  deps = { ...deps, onChange: d.onChange || deps.onChange, notify: d.notify || deps.notify };
+
+  toggleBtn.addEventListener('click', toggleChapters);
+  d.closeButton.addEventListener('click', closeChapters);
+  video.addEventListener('durationchange', _renderMarkers);
+  video.addEventListener('timeupdate', _highlightCurrent);
+}
+
+// ─── Sources (called from player.js on every load) ─────────────────────────
+// opts.track: WebVTT chapter file URL; opts.bookmarks: saved bookmarks
+export function setChapterSources({ track = null, bookmarks: saved = [] } = {}) {
+  const gen = ++sourceGen;
+  chapters  = [];
+  fromTrack = false;
+  bookmarks = (saved || []).map(b => ({ ...b })).sort((a, b) => a.time - b.time);
+  _renderAll();
+
+  if (track) {
+    _loadTrack(track)
+      .then(list => {
+        if (gen !== sourceGen) return;
+        chapters  = list;
+        fromTrack = true;
+        _renderAll();
+      })
+      .catch(() => { if (gen === sourceGen) deps.notify('Chapter file could not be loaded.', 'error'); });
+  }
+}
+
+export function attachHlsChapters(instance) {
+  hls = instance;
+  if (!hls) return;
+  hls.on(Hls.Events.LEVEL_LOADED, (_e, data) => {
+    if (fromTrack || hls !== instance) return;
+    const list = _fromDateRanges(data.details);
+    if (list.length) {
+      chapters = list;
+      _renderAll();
+    }
+  });
+}
+
+export function chapterAt(time) {
+  for (let i = chapters.length - 1; i >= 0; i--) {
+    if (chapters[i].start <= time) return time < chapters[i].end ? chapters[i] : null;
+  }
+  return null;
+}
+
+// ─── Bookmarks ─────────────────────────────────────────────────────────────
+// Keyboard "B" (Shift+B asks for a label)
+export function addBookmark(askLabel = false) {
+  if (!video.currentSrc || !isFinite(video.currentTime)) return;
+  const time = Math.round(video.currentTime * 10) / 10;
+  if (bookmarks.some(b => Math.abs(b.time - time) < 1)) {
+    deps.notify('There is already a bookmark here.');
+    return;
+  }
+
+  let label = '';
+  if (askLabel) {
+    const input = prompt('Bookmark label (optional):', '');
+    if (input === null) return;
+    label = input.trim();
+  }
+
+  bookmarks.push(label ? { time, label } : { time });
+  bookmarks.sort((a, b) => a.time - b.time);
+  _commitBookmarks();
+  deps.notify(`Bookmark added at ${fmtTime(time)}.`, 'success');
+}
+
+function renameBookmark(i) {
+  const b = bookmarks[i];
+  if (!b) return;
+  const input = prompt('Bookmark label:', b.label || '');
+  if (input === null) return;
+  if (input.trim()) b.label = input.trim();
+  else delete b.label;
+  _commitBookmarks();
+}
+
+function removeBookmark(i) {
+  bookmarks.splice(i, 1);
+  _commitBookmarks();
+}
+
+function _commitBookmarks() {
+  deps.onChange(bookmarks.map(b => ({ ...b })));
+  _renderAll();
+}
+
+// ─── Navigation ────────────────────────────────────────────────────────────
+// Keyboard "[" / "]": previous / next chapter start or bookmark. Going back
+// from a little way into a chapter restarts it, like track skipping.
+export function jumpPoint(dir) {
+  const points = [...new Set([
+    ...chapters.map(c => c.start),
+    ...bookmarks.map(b => b.time),
+  ])].sort((a, b) => a - b);
+  if (!points.length) { deps.notify('No chapters or bookmarks.'); return; }
+
+  const t = video.currentTime;
+  const target = dir > 0
+    ? points.find(p => p > t + 0.5)
+    : [...points].reverse().find(p => p < t - 2);
+  if (target == null) return;
+  video.currentTime = target;
+}
+
+// ─── Panel ─────────────────────────────────────────────────────────────────
+export function toggleChapters() {
+  if (panel.classList.contains('active')) {
+    closeChapters();
+  } else {
+    _renderList();
+    panel.classList.add('active');
+    toggleBtn.classList.add('active');
+  }
+}
+
+export function closeChapters() {
+  panel.classList.remove('active');
+  toggleBtn.classList.remove('active');
+}
+
+function _renderAll() {
+  currentIdx = -1;
+  _renderMarkers();
+  _renderList();
+}
+
+function _renderMarkers() {
+  const d = video.duration;
+  markersEl.innerHTML = '';
+  if (!isFinite(d) || !d) return;
+
+  const add = (time, cls, title) => {
+    const m = document.createElement('span');
+    m.className  = 'scrub-marker ' + cls;
+    m.style.left = (time / d * 100) + '%';
+    if (title) m.title = title;
+    markersEl.appendChild(m);
+  };
+  chapters.forEach(c => { if (c.start > 0) add(c.start, 'scrub-marker-chapter', c.title); });
+  bookmarks.forEach(b => add(b.time, 'scrub-marker-bookmark', b.label || fmtTime(b.time)));
+}
+
+function _renderList() {
+  listEl.innerHTML = '';
+  const section = (title, items, empty) => {
+    const head = document.createElement('div');
+    head.className   = 'chapter-section';
+    head.textContent = title;
+    listEl.appendChild(head);
+    if (!items.length) {
+      const p = document.createElement('div');
+      p.className   = 'chapter-empty';
+      p.textContent = empty;
+      listEl.appendChild(p);
+    }
+    items.forEach(el => listEl.appendChild(el));
+  };
+
+  section('Chapters', chapters.map((c, i) => {
+    const row = _row(c.start, c.title || `Chapter ${i + 1}`);
+    row.dataset.chapter = i;
+    return row;
+  }), 'No chapters for this video.');
+
+  section('Bookmarks', bookmarks.map((b, i) => {
+    const row = _row(b.time, b.label || 'Bookmark');
+    row.appendChild(_iconBtn('✎', 'Rename', () => renameBookmark(i)));
+    row.appendChild(_iconBtn('✕', 'Delete', () => removeBookmark(i)));
+    return row;
+  }), 'Press B to bookmark the current moment (Shift+B to add a label).');
+
+  _highlightCurrent();
+}
+
+function _row(time, label) {
+  const row = document.createElement('div');
+  row.className = 'chapter-row';
+  const jump = document.createElement('button');
+  jump.className = 'chapter-jump';
+  jump.innerHTML = `<span class="chapter-time">${fmtTime(time)}</span><span class="chapter-label"></span>`;
+  jump.querySelector('.chapter-label').textContent = label;
+  jump.addEventListener('click', () => { video.currentTime = time; });
+  row.appendChild(jump);
+  return row;
+}
+
+function _iconBtn(text, title, onClick) {
+  const b = document.createElement('button');
+  b.className   = 'chapter-icon-btn';
+  b.textContent = text;
+  b.title       = title;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+function _highlightCurrent() {
+  const c   = chapterAt(video.currentTime);
+  const idx = c ? chapters.indexOf(c) : -1;
+  if (idx === currentIdx) return;
+  currentIdx = idx;
+  listEl.querySelectorAll('[data-chapter]').forEach(r => {
+    r.classList.toggle('current', +r.dataset.chapter === idx);
+  });
+}
+
+// ─── Sources ───────────────────────────────────────────────────────────────
+async function _loadTrack(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const cues = parseVtt(await res.text());
+  if (!cues.length) throw new Error('no chapters');
+  return cues
+    .map(c => ({ start: c.start, end: c.end, title: c.text.replace(/<[^>]+>/g, '').trim() }))
+    .sort((a, b) => a.start - b.start);
+}
+
+// Date ranges are wall-clock; map them onto media time through the first
+// fragment that carries #EXT-X-PROGRAM-DATE-TIME. Ad signalling is skipped.
+function _fromDateRanges(details) {
+  const ranges = Object.values(details?.dateRanges || {});
+  const anchor = details?.fragments?.find(f => f.programDateTime != null);
+  if (!ranges.length || !anchor) return [];
+
+  const list = ranges
+    .filter(r => r.startDate && !['SCTE35-OUT', 'SCTE35-IN', 'SCTE35-CMD'].some(k => r.attr?.[k]))
+    .map(r => {
+      const start = anchor.start + (r.startDate.getTime() - anchor.programDateTime) / 1000;
+      const a = r.attr || {};
+      return {
+        start,
+        end:   r.duration != null ? start + r.duration : Infinity,
+        title: a['X-TITLE'] || a['X-CHAPTER'] || a['X-LABEL'] || r.class || r.id,
+      };
+    })
+    .filter(c => c.start >= 0)
+    .sort((a, b) => a.start - b.start);
+
+  // Open-ended ranges run until the next one starts
+  list.forEach((c, i) => { if (!isFinite(c.end) && list[i + 1]) c.end = list[i + 1].start; });
+  return list;
+}
@@ -0,0 +1,762 @@
+/**
+ * dash.js — X Stream & Play
+ * MPEG-DASH playback through Media Source Extensions: MPD parsing
+ * (SegmentTemplate, SegmentList, SegmentBase + sidx), throughput-based ABR
+ * and a small segment scheduler. Exposes an HLS.js-like surface (levels,
+ * currentLevel, bandwidthEstimate, audioTracks) so player.js can treat both
+ * alike.
+ * Clear-key / DRM protected adaptation sets are skipped.
+ */
+
+// ── Tuning ────────────────────────────────────────────────────────────────
+const MAX_BUFFER  = 30;   // Seconds to keep buffered ahead of the playhead
+const BACK_BUFFER = 30;   // Seconds to keep behind the playhead
+const ABR_SAFETY  = 0.8;  // Share of the bandwidth estimate a level may use
+const MAX_RETRIES = 3;    // Per-segment retries before giving up
+const TICK_MS     = 250;  // Scheduler interval
+
+export function isDashSupported() {
+  return typeof window.MediaSource !== 'undefined';
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Player: createDashPlayer(video, { onReady, onError, onLevelSwitch, onFragment, startPosition })
+// ─────────────────────────────────────────────────────────────────────────
+export function createDashPlayer(video, opts = {}) {
+  let manifest     = null;
+  let mediaSource  = null;
+  let objectUrl    = null;
+  let tracks       = [];    // One per SourceBuffer: { type, sb, mime, nextTime, initKey, busy, done, retries, retryAt }
+  let bandwidth    = 0;     // EWMA throughput estimate in bits/s
+  let manualLevel  = -1;    // -1 = automatic
+  let capLevel     = -1;    // Highest level ABR may pick (-1 = uncapped)
+  let audioIndex   = 0;     // Selected audio AdaptationSet (language / rendition)
+  let playingLevel = -1;    // Level of the last appended video segment
+  let gen          = 0;     // Bumped on seek/switch to discard in-flight work
+  let timer        = null;
+  let refreshTimer = null;
+  let destroyed    = false;
+  let startPending = 0;
+  const aborts     = new Set();
+
+  async function load(url) {
+    try {
+      manifest = parseMpd(await _fetchText(url), url);
+    } catch (e) {
+      _fail('DASH manifest failed to load: ' + e.message);
+      return;
+    }
+    _filterPlayable(manifest);
+    if (!manifest.periods.some(p => p.adaptations.length)) {
+      _fail(manifest.hasDrm
+        ? 'DRM-protected DASH streams are not supported.'
+        : 'No playable DASH representations (unsupported codecs).');
+      return;
+    }
+
+    startPending = manifest.isLive ? _liveStart() : (opts.startPosition || 0);
+
+    if (manifest.isLive) {
+      const every = Math.max(2, manifest.minUpdate || 4) * 1000;
+      refreshTimer = setInterval(() => _refresh(url), every);
+    }
+
+    mediaSource = new MediaSource();
+    mediaSource.addEventListener('sourceopen', _onSourceOpen, { once: true });
+    objectUrl = URL.createObjectURL(mediaSource);
+    video.src = objectUrl;
+    video.addEventListener('seeking', _onSeeking);
+    video.addEventListener('loadedmetadata', _applyStart);
+  }
+
+  function _onSourceOpen() {
+    if (destroyed) return;
+    if (!manifest.isLive) {
+      const end = manifest.duration ?? _lastPeriodEnd();
+      if (end) mediaSource.duration = end;
+    }
+
+    // All SourceBuffers must exist before the first append
+    const first = manifest.periods[0];
+    for (const type of ['video', 'audio']) {
+      const rep = _pickRep(type, first.start);
+      if (!rep) continue;
+      const mime = _mime(rep);
+      try {
+        tracks.push({
+          type, mime, sb: mediaSource.addSourceBuffer(mime),
+          nextTime: startPending, initKey: null,
+          busy: false, done: false, retries: 0, retryAt: 0,
+        });
+      } catch (e) {
+        _fail(`Cannot play ${type} (${mime}).`);
+        return;
+      }
+    }
+
+    if (!tracks.length) return;
+    opts.onReady?.();
+    timer = setInterval(_tick, TICK_MS);
+    _tick();
+  }
+
+  // ─── Scheduler ──────────────────────────────────────────────────────────
+  function _tick() {
+    if (destroyed || !mediaSource || mediaSource.readyState === 'closed') return;
+    tracks.forEach(_feed);
+    _maybeEnd();
+  }
+
+  async function _feed(track) {
+    if (track.busy || track.done || Date.now() < track.retryAt) return;
+    if (track.nextTime - video.currentTime >= MAX_BUFFER) return;
+
+    const rep = _pickRep(track.type, track.nextTime);
+    if (!rep) { track.done = true; return; }
+
+    const myGen = gen;
+    track.busy = true;
+    try {
+      if (!rep.segments) await _resolveIndex(rep);
+      if (myGen !== gen) return;
+
+      if (track.initKey !== rep.key) {
+        const init = rep.init ? await _fetch(rep.init, false) : null;
+        if (myGen !== gen) return;
+        _prepareBuffer(track, rep);
+        if (init) await _append(track, init);
+        track.initKey = rep.key;
+      }
+
+      const seg = _segmentAt(rep, track.nextTime);
+      if (!seg) {
+        if (!manifest.isLive) track.done = true;
+        return;
+      }
+
+      const data = await _fetch(seg, true);
+      if (myGen !== gen) return;
+      await _trimBackBuffer(track);
+      if (myGen !== gen) return;
+      await _append(track, data);
+      if (myGen !== gen) return;
+
+      track.nextTime = seg.start + seg.duration;
+      track.retries  = 0;
+      if (track.type === _levelType()) {
+        const lvl = _levelIndex(rep);
+        if (lvl !== playingLevel) {
+          playingLevel = lvl;
+          opts.onLevelSwitch?.(lvl);
+        }
+      }
+    } catch (e) {
+      if (e.name === 'AbortError' || myGen !== gen || destroyed) return;
+      if (++track.retries > MAX_RETRIES) {
+        _fail('DASH segment failed to load: ' + e.message);
+      } else {
+        track.retryAt = Date.now() + 500 * 2 ** track.retries;
+      }
+    } finally {
+      track.busy = false;
+    }
+  }
+
+  function _maybeEnd() {
+    if (manifest.isLive || mediaSource.readyState !== 'open') return;
+    if (!tracks.every(t => t.done && !t.busy && !t.sb.updating)) return;
+    try { mediaSource.endOfStream(); } catch (_) {}
+  }
+
+  function _prepareBuffer(track, rep) {
+    const mime = _mime(rep);
+    if (mime !== track.mime && typeof track.sb.changeType === 'function') {
+      track.sb.changeType(mime);
+      track.mime = mime;
+    }
+    track.sb.timestampOffset = rep.timeOffset;
+  }
+
+  function _append(track, data) {
+    return _sbOp(track.sb, sb => sb.appendBuffer(data)).catch(async e => {
+      if (e.name !== 'QuotaExceededError') throw e;
+      // Buffer full: drop everything well behind the playhead and retry once
+      await _sbOp(track.sb, sb => sb.remove(0, Math.max(0, video.currentTime - 5)));
+      return _sbOp(track.sb, sb => sb.appendBuffer(data));
+    });
+  }
+
+  async function _trimBackBuffer(track) {
+    const b = track.sb.buffered;
+    const ct = video.currentTime;
+    if (b.length && ct - b.start(0) > BACK_BUFFER + 10) {
+      await _sbOp(track.sb, sb => sb.remove(0, ct - BACK_BUFFER));
+    }
+  }
+
+  // ─── ABR / representation choice ────────────────────────────────────────
+  function _levelType() {
+    return manifest.periods[0].adaptations.some(a => a.type === 'video') ? 'video' : 'audio';
+  }
+
+  function _repsAt(type, time) {
+    const period = [...manifest.periods].reverse().find(p => p.start <= time + 0.01)
+      || manifest.periods[0];
+    const sets = period.adaptations.filter(a => a.type === type);
+    const set  = type === 'audio' ? (sets[audioIndex] || sets[0]) : sets[0];
+    return set ? set.reps : [];
+  }
+
+  function _pickRep(type, time) {
+    const reps = _repsAt(type, time);   // Sorted by bandwidth, ascending
+    if (!reps.length) return null;
+
+    if (type === _levelType()) {
+      if (manualLevel >= 0) return reps[Math.min(manualLevel, reps.length - 1)];
+      if (!bandwidth) return reps[0];
+      const pool   = capLevel >= 0 ? reps.slice(0, capLevel + 1) : reps;
+      const ahead  = time - video.currentTime;
+      const budget = bandwidth * (ahead < 5 ? ABR_SAFETY * 0.75 : ABR_SAFETY);
+      return [...pool].reverse().find(r => r.bandwidth <= budget) || reps[0];
+    }
+
+    // Secondary (audio) track: modest share of the estimate
+    return [...reps].reverse().find(r => r.bandwidth <= bandwidth * 0.25) || reps[0];
+  }
+
+  function _levelIndex(rep) {
+    return _repsAt(rep.type, rep.periodStart).indexOf(rep);
+  }
+
+  // ─── Seeking & live refresh ─────────────────────────────────────────────
+  function _onSeeking() {
+    _restartFrom(video.currentTime, tracks);
+  }
+
+  function _restartFrom(time, which, keepBuffered = true) {
+    gen++;
+    aborts.forEach(c => c.abort());
+    aborts.clear();
+    which.forEach(t => {
+      t.nextTime = (keepBuffered && _bufferedEnd(t.sb, time)) || time;
+      t.done     = false;
+      t.retries  = 0;
+      t.retryAt  = 0;
+    });
+    _tick();
+  }
+
+  function _applyStart() {
+    if (!startPending) return;
+    const t = startPending;
+    startPending = 0;
+    video.currentTime = t;
+  }
+
+  async function _refresh(url) {
+    try {
+      const next = parseMpd(await _fetchText(url), url);
+      _filterPlayable(next);
+      if (!destroyed) manifest = next;
+    } catch (_) { /* keep the previous manifest and retry next interval */ }
+  }
+
+  function _liveStart() {
+    const delay = manifest.liveDelay ?? 3 * (manifest.maxSegDur || 4);
+    return Math.max(0, _liveEdge() - delay);
+  }
+
+  function _liveEdge() {
+    const p = manifest.periods[manifest.periods.length - 1];
+    const reps = p.adaptations.flatMap(a => a.reps).filter(r => r.segments?.length);
+    if (!reps.length) return p.start;
+    return Math.min(...reps.map(r => {
+      const last = r.segments[r.segments.length - 1];
+      return last.start + last.duration;
+    }));
+  }
+
+  function _lastPeriodEnd() {
+    const p = manifest.periods[manifest.periods.length - 1];
+    return p.duration != null ? p.start + p.duration : null;
+  }
+
+  // ─── Network ────────────────────────────────────────────────────────────
+  async function _fetch(part, measure) {
+    const ctrl = new AbortController();
+    aborts.add(ctrl);
+    const t0 = performance.now();
+    try {
+      const res = await fetch(part.url, {
+        headers: part.range ? { Range: `bytes=${part.range}` } : {},
+        signal: ctrl.signal,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const buf = await res.arrayBuffer();
+      const secs = (performance.now() - t0) / 1000;
+      if (measure && buf.byteLength > 16000 && secs > 0) {
+        const sample = buf.byteLength * 8 / secs;
+        bandwidth = bandwidth ? 0.7 * bandwidth + 0.3 * sample : sample;
+      }
+      if (measure) opts.onFragment?.({ url: part.url, bytes: buf.byteLength, ms: secs * 1000 });
+      return buf;
+    } finally {
+      aborts.delete(ctrl);
+    }
+  }
+
+  async function _resolveIndex(rep) {
+    const buf = await _fetch(rep.index, false);
+    const start = parseInt(rep.index.range, 10);
+    const refs = _parseSidx(buf, start);
+    if (!refs) throw new Error('missing sidx box');
+    rep.segments = refs.map(r => ({
+      url: rep.index.url,
+      range: r.range,
+      start: r.start + rep.timeOffset,
+      duration: r.duration,
+    }));
+  }
+
+  function _fail(msg) {
+    if (destroyed) return;
+    clearInterval(timer);
+    clearInterval(refreshTimer);
+    opts.onError?.(msg);
+  }
+
+  // ─── Teardown ───────────────────────────────────────────────────────────
+  function destroy() {
+    destroyed = true;
+    clearInterval(timer);
+    clearInterval(refreshTimer);
+    aborts.forEach(c => c.abort());
+    aborts.clear();
+    video.removeEventListener('seeking', _onSeeking);
+    video.removeEventListener('loadedmetadata', _applyStart);
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+    tracks = [];
+  }
+
+  return {
+    load,
+    destroy,
+    get levels() {
+      if (!manifest) return [];
+      const type  = _levelType();
+      const audio = _repsAt('audio', 0)[0];
+      return _repsAt(type, 0).map(r => ({
+        width: r.width, height: r.height, bitrate: r.bandwidth, frameRate: r.frameRate,
+        videoCodec: type === 'video' ? r.codecs : undefined,
+        audioCodec: type === 'audio' ? r.codecs : audio?.codecs,
+      }));
+    },
+    get currentLevel() { return playingLevel; },
+    set currentLevel(i) {
+      manualLevel = i;
+      const t = tracks.filter(tr => tr.type === _levelType());
+      if (t.length) _restartFrom(video.currentTime + 1, t, false);
+    },
+    get autoLevelEnabled() { return manualLevel < 0; },
+    get autoLevelCapping() { return capLevel; },
+    set autoLevelCapping(i) { capLevel = i; },
+    get audioTracks() {
+      if (!manifest) return [];
+      return manifest.periods[0].adaptations
+        .filter(a => a.type === 'audio')
+        .map(a => ({ name: a.label || a.lang, lang: a.lang }));
+    },
+    get audioTrack() { return audioIndex; },
+    set audioTrack(i) {
+      if (i === audioIndex) return;
+      audioIndex = i;
+      const t = tracks.filter(tr => tr.type === 'audio');
+      if (t.length) _restartFrom(video.currentTime, t, false);
+    },
+    get bandwidthEstimate() { return bandwidth; },
+    get thumbnails() { return manifest?.thumbnails || []; },
+    get isLive() { return !!manifest?.isLive; },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// MPD parsing
+// ─────────────────────────────────────────────────────────────────────────
+export function parseMpd(text, mpdUrl, now = Date.now()) {
+  const doc  = new DOMParser().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'MPD') throw new Error('not a DASH manifest');
+
+  const total    = _dur(root.getAttribute('mediaPresentationDuration'));
+  const manifest = {
+    isLive:     root.getAttribute('type') === 'dynamic',
+    duration:   total,
+    minUpdate:  _dur(root.getAttribute('minimumUpdatePeriod')),
+    liveDelay:  _dur(root.getAttribute('suggestedPresentationDelay')),
+    maxSegDur:  _dur(root.getAttribute('maxSegmentDuration')),
+    timeShift:  _dur(root.getAttribute('timeShiftBufferDepth')),
+    startedAt:  Date.parse(root.getAttribute('availabilityStartTime') || '') || 0,
+    hasDrm:     false,
+    periods:    [],
+    thumbnails: [],   // Seek-preview tiles: [{ start, end, url, x, y, w, h }]
+  };
+  const mpdBase = _base(root, mpdUrl);
+
+  const periodEls = _kids(root, 'Period');
+  let cursor = 0;
+  periodEls.forEach((pEl, pIdx) => {
+    const start     = _dur(pEl.getAttribute('start')) ?? cursor;
+    const nextStart = periodEls[pIdx + 1] ? _dur(periodEls[pIdx + 1].getAttribute('start')) : null;
+    const duration  = _dur(pEl.getAttribute('duration'))
+      ?? (nextStart != null ? nextStart - start : (total != null ? total - start : null));
+    if (duration != null) cursor = start + duration;
+
+    const period = { start, duration, adaptations: [] };
+    const pBase  = _base(pEl, mpdBase);
+
+    _kids(pEl, 'AdaptationSet').forEach((asEl, aIdx) => {
+      if (_kids(asEl, 'ContentProtection').length) { manifest.hasDrm = true; return; }
+
+      const aBase = _base(asEl, pBase);
+      const set = {
+        type:  _contentType(asEl),
+        lang:  asEl.getAttribute('lang') || '',
+        label: _kids(asEl, 'Label')[0]?.textContent.trim() || '',
+        reps:  [],
+      };
+
+      _kids(asEl, 'Representation').forEach(rEl => {
+        const attr = name => rEl.getAttribute(name) ?? asEl.getAttribute(name);
+        const rep = {
+          key:       `${pIdx}:${aIdx}:${rEl.getAttribute('id')}`,
+          id:        rEl.getAttribute('id') || '',
+          type:      set.type || _contentType(rEl),
+          mimeType:  attr('mimeType') || '',
+          codecs:    attr('codecs') || '',
+          bandwidth: +rEl.getAttribute('bandwidth') || 0,
+          width:     +attr('width') || 0,
+          height:    +attr('height') || 0,
+          frameRate: attr('frameRate') || '',
+          base:      _base(rEl, aBase),
+          periodStart: start,
+          timeOffset:  start,
+          init:      null,
+          index:     null,
+          segments:  null,
+        };
+        _addressing(rep, [pEl, asEl, rEl], period, manifest, now);
+        set.reps.push(rep);
+      });
+
+      if (!set.type && set.reps[0]) set.type = set.reps[0].type;
+      if (set.type === 'image') {
+        if (!manifest.thumbnails.length) manifest.thumbnails = _thumbnailTiles(set, asEl);
+        return;
+      }
+      if (set.type !== 'video' && set.type !== 'audio') return;   // Text tracks etc.
+      set.reps.sort((a, b) => a.bandwidth - b.bandwidth);
+      period.adaptations.push(set);
+    });
+
+    manifest.periods.push(period);
+  });
+
+  if (!manifest.periods.length) throw new Error('manifest has no periods');
+  return manifest;
+}
+
+// Fill rep.init / rep.segments (or rep.index for SegmentBase) from whichever
+// addressing scheme is in force, honouring Period → AdaptationSet →
+// Representation inheritance.
+function _addressing(rep, levels, period, manifest, now) {
+  const tpl = _inherit(levels, 'SegmentTemplate');
+  if (tpl) return _fromTemplate(rep, tpl, period, manifest, now);
+
+  const list = _inherit(levels, 'SegmentList');
+  if (list) return _fromList(rep, list, period);
+
+  const base = _inherit(levels, 'SegmentBase');
+  const ts   = +(base?.attrs.timescale) || 1;
+  rep.timeOffset = period.start - (+(base?.attrs.presentationTimeOffset) || 0) / ts;
+
+  const initEl = base?.child('Initialization')[0];
+  if (initEl) rep.init = { url: rep.base, range: initEl.getAttribute('range') };
+
+  if (base?.attrs.indexRange) {
+    rep.index = { url: rep.base, range: base.attrs.indexRange };
+  } else {
+    // No index: treat the whole file as one self-initialising segment
+    rep.segments = [{ url: rep.base, range: null, start: period.start, duration: period.duration ?? Infinity }];
+  }
+}
+
+function _fromTemplate(rep, tpl, period, manifest, now) {
+  const a    = tpl.attrs;
+  const ts   = +a.timescale || 1;
+  const pto  = +a.presentationTimeOffset || 0;
+  const num0 = a.startNumber != null ? +a.startNumber : 1;
+  const vars = { RepresentationID: rep.id, Bandwidth: rep.bandwidth };
+  rep.timeOffset = period.start - pto / ts;
+
+  const initEl = tpl.child('Initialization')[0];
+  if (a.initialization) {
+    rep.init = { url: _fill(a.initialization, vars, rep.base), range: null };
+  } else if (initEl) {
+    rep.init = {
+      url: new URL(initEl.getAttribute('sourceURL') || '', rep.base).href,
+      range: initEl.getAttribute('range'),
+    };
+  }
+
+  const segs = [];
+  const timeline = tpl.child('SegmentTimeline')[0];
+  if (timeline) {
+    const nowMedia = pto + ((now - manifest.startedAt) / 1000 - period.start) * ts;
+    const periodEnd = period.duration != null ? pto + period.duration * ts : null;
+    _timeline(timeline, periodEnd ?? (manifest.isLive ? nowMedia : null)).forEach((s, i) => {
+      segs.push({
+        url: _fill(a.media, { ...vars, Number: num0 + i, Time: s.t }, rep.base),
+        range: null,
+        start: s.t / ts + rep.timeOffset,
+        duration: s.d / ts,
+      });
+    });
+  } else if (a.duration) {
+    const d = +a.duration / ts;
+    let first = num0;
+    let last;
+    if (manifest.isLive) {
+      const elapsed = (now - manifest.startedAt) / 1000 - period.start;
+      last  = num0 + Math.floor(elapsed / d) - 1;
+      first = Math.max(num0, last - Math.ceil((manifest.timeShift ?? 60) / d) + 1);
+    } else {
+      last = num0 + Math.ceil((period.duration ?? 0) / d) - 1;
+    }
+    for (let n = first; n <= last; n++) {
+      const i = n - num0;
+      segs.push({
+        url: _fill(a.media, { ...vars, Number: n, Time: pto + i * +a.duration }, rep.base),
+        range: null,
+        start: period.start + i * d,
+        duration: d,
+      });
+    }
+  }
+  rep.segments = segs;
+}
+
+function _fromList(rep, list, period) {
+  const a   = list.attrs;
+  const ts  = +a.timescale || 1;
+  const pto = +a.presentationTimeOffset || 0;
+  const d   = (+a.duration || 0) / ts;
+  rep.timeOffset = period.start - pto / ts;
+
+  const initEl = list.child('Initialization')[0];
+  if (initEl) {
+    rep.init = {
+      url: new URL(initEl.getAttribute('sourceURL') || '', rep.base).href,
+      range: initEl.getAttribute('range'),
+    };
+  }
+
+  const timeline = list.child('SegmentTimeline')[0];
+  const times = timeline ? _timeline(timeline, null) : null;
+  rep.segments = list.child('SegmentURL').map((el, i) => ({
+    url: new URL(el.getAttribute('media') || '', rep.base).href,
+    range: el.getAttribute('mediaRange'),
+    start: times?.[i] ? times[i].t / ts + rep.timeOffset : period.start + i * d,
+    duration: times?.[i] ? times[i].d / ts : d,
+  }));
+}
+
+// Expand <S t d r> entries into [{ t, d }] in timescale units
+function _timeline(el, endTime) {
+  const out = [];
+  const ss = _kids(el, 'S');
+  let t = 0;
+  ss.forEach((s, i) => {
+    if (s.hasAttribute('t')) t = +s.getAttribute('t');
+    const d = +s.getAttribute('d');
+    let r = +(s.getAttribute('r') || 0);
+    if (r < 0) {
+      const next = ss[i + 1];
+      const end  = next?.hasAttribute('t') ? +next.getAttribute('t') : endTime;
+      r = end != null ? Math.max(0, Math.ceil((end - t) / d) - 1) : 0;
+    }
+    for (let k = 0; k <= r; k++) {
+      out.push({ t, d });
+      t += d;
+    }
+  });
+  return out;
+}
+
+// Merge attributes of a segment-info element across hierarchy levels; child
+// elements come from the most specific level that defines them.
+function _inherit(levels, name) {
+  const nodes = levels.map(el => _kids(el, name)[0]).filter(Boolean);
+  if (!nodes.length) return null;
+  const attrs = {};
+  nodes.forEach(n => { for (const at of n.attributes) attrs[at.name] = at.value; });
+  return {
+    attrs,
+    child(tag) {
+      for (let i = nodes.length - 1; i >= 0; i--) {
+        const found = _kids(nodes[i], tag);
+        if (found.length) return found;
+      }
+      return [];
+    },
+  };
+}
+
+// ─── sidx box (SegmentBase index) ────────────────────────────────────────
+function _parseSidx(buf, fileOffset) {
+  const dv = new DataView(buf);
+  let pos = 0;
+  while (pos + 8 <= dv.byteLength) {
+    const size = dv.getUint32(pos);
+    const type = String.fromCharCode(...new Uint8Array(buf, pos + 4, 4));
+    if (type === 'sidx') break;
+    if (size < 8) return null;
+    pos += size;
+  }
+  if (pos + 32 > dv.byteLength) return null;
+
+  const boxSize = dv.getUint32(pos);
+  const version = dv.getUint8(pos + 8);
+  let p = pos + 16;                       // header + version/flags + reference_ID
+  const timescale = dv.getUint32(p); p += 4;
+  let time, first;
+  if (version === 0) {
+    time  = dv.getUint32(p);
+    first = dv.getUint32(p + 4);
+    p += 8;
+  } else {
+    time  = dv.getUint32(p) * 2 ** 32 + dv.getUint32(p + 4);
+    first = dv.getUint32(p + 8) * 2 ** 32 + dv.getUint32(p + 12);
+    p += 16;
+  }
+  p += 2;                                 // reserved
+  const count = dv.getUint16(p); p += 2;
+
+  let offset = fileOffset + pos + boxSize + first;
+  const refs = [];
+  for (let i = 0; i < count && p + 12 <= dv.byteLength; i++) {
+    const bytes = dv.getUint32(p) & 0x7fffffff;
+    const dur   = dv.getUint32(p + 4);
+    p += 12;
+    refs.push({ start: time / timescale, duration: dur / timescale, range: `${offset}-${offset + bytes - 1}` });
+    offset += bytes;
+    time   += dur;
+  }
+  return refs;
+}
+
+// Thumbnail tile AdaptationSets (DASH-IF IOP): every segment is one image
+// holding a cols×rows grid of tiles that split the segment duration evenly.
+function _thumbnailTiles(set, asEl) {
+  const rep = set.reps.find(r => r.segments?.length && r.width && r.height);
+  if (!rep) return [];
+  const prop = Array.from(asEl.getElementsByTagNameNS('*', 'EssentialProperty'))
+    .find(e => /thumbnail_tile/.test(e.getAttribute('schemeIdUri') || ''));
+  const [cols, rows] = (prop?.getAttribute('value') || '1x1').split('x').map(n => +n || 1);
+  const w = rep.width / cols;
+  const h = rep.height / rows;
+
+  return rep.segments.flatMap(seg => {
+    const each = seg.duration / (cols * rows);
+    return Array.from({ length: cols * rows }, (_, i) => ({
+      start: seg.start + i * each,
+      end:   seg.start + (i + 1) * each,
+      url:   seg.url,
+      x: (i % cols) * w, y: Math.floor(i / cols) * h, w, h,
+    }));
+  });
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────
+function _filterPlayable(manifest) {
+  manifest.periods.forEach(p => {
+    p.adaptations.forEach(a => {
+      a.reps = a.reps.filter(r => MediaSource.isTypeSupported(_mime(r)));
+    });
+    p.adaptations = p.adaptations.filter(a => a.reps.length);
+  });
+}
+
+function _segmentAt(rep, time) {
+  const segs = rep.segments;
+  if (!segs.length) return null;
+  if (time < segs[0].start) return segs[0];
+  return segs.find(s => s.start + s.duration > time + 0.05) || null;
+}
+
+function _bufferedEnd(sb, time) {
+  const b = sb.buffered;
+  for (let i = 0; i < b.length; i++) {
+    if (b.start(i) <= time + 0.1 && time <= b.end(i)) return b.end(i);
+  }
+  return null;
+}
+
+function _sbOp(sb, fn) {
+  return new Promise((resolve, reject) => {
+    const done = () => { off(); resolve(); };
+    const fail = () => { off(); reject(new Error('SourceBuffer update failed')); };
+    const off  = () => {
+      sb.removeEventListener('updateend', done);
+      sb.removeEventListener('error', fail);
+    };
+    sb.addEventListener('updateend', done);
+    sb.addEventListener('error', fail);
+    try { fn(sb); } catch (e) { off(); reject(e); }
+  });
+}
+
+async function _fetchText(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.text();
+}
+
+function _mime(rep) {
+  return `${rep.mimeType}; codecs="${rep.codecs}"`;
+}
+
+function _contentType(el) {
+  const ct = el.getAttribute('contentType');
+  if (ct) return ct;
+  const mime = el.getAttribute('mimeType') || '';
+  return mime.split('/')[0] || '';
+}
+
+function _kids(el, name) {
+  return Array.from(el.children).filter(c => c.localName === name);
+}
+
+function _base(el, parent) {
+  const b = _kids(el, 'BaseURL')[0];
+  return b ? new URL(b.textContent.trim(), parent).href : parent;
+}
+
+// $RepresentationID$, $Number%05d$, $Time$, $Bandwidth$, $$
+function _fill(tpl, vars, base) {
+  const s = tpl.replace(/\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$|\$\$/g,
+    (_m, key, width) => {
+      if (!key) return '$';
+      const v = String(vars[key]);
+      return width ? v.padStart(+width, '0') : v;
+    });
+  return new URL(s, base).href;
+}
+
+// ISO-8601 duration (PT1H2M3.5S) → seconds, or null
+function _dur(str) {
+  if (!str) return null;
+  const m = str.match(/^P(?:([\d.]+)Y)?(?:([\d.]+)M)?(?:([\d.]+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m.map(v => parseFloat(v) || 0);
+  return ((y * 365 + mo * 30 + d) * 24 + h) * 3600 + mi * 60 + s;
+}
@@ -0,0 +1,59 @@
+/**
+ * deeplink.js — X Stream & Play
+ * Shareable links that open a video at a timestamp:
+ *   index.html#play=<encoded url>&t=12m40s&title=<encoded title>
+ * The same parameters are accepted in the query string. Times are read as
+ * seconds (90), clock notation (1:30, 1:02:03) or units (1m30s, 1h2m3s).
+ * Pure string handling — library.js decides what to do with a link.
+ */
+
+// → { url, t, title } for a link carrying an http(s) `play` URL, else null.
+// `loc` defaults to the current page location.
+export function readDeepLink(loc = location) {
+  for (const part of [loc.hash, loc.search]) {
+    const params = new URLSearchParams((part || '').replace(/^[#?]/, ''));
+    const url    = params.get('play');
+    if (!url || !isShareableUrl(url)) continue;
+    return { url, t: parseTime(params.get('t')), title: params.get('title') || '' };
+  }
+  return null;
+}
+
+// Link to the app (index.html) that plays `url` from `time` seconds.
+// Live streams and the very start are shared without a time.
+export function buildDeepLink(url, { time = 0, title = '' } = {}) {
+  const params = new URLSearchParams({ play: url });
+  if (time >= 1) params.set('t', formatTime(time));
+  if (title) params.set('title', title);
+  return `${new URL('./', location.href).href}#${params}`;
+}
+
+// Only links anyone can open: no blob: URLs of local files
+export function isShareableUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+}
+
+// ─── Time notation ────────────────────────────────────────────────────────
+// 90 · 1:30 · 1:02:03 · 1m30s · 1h2m3s → seconds (0 when unreadable)
+export function parseTime(v) {
+  if (v == null || v === '') return 0;
+  const s = String(v).trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(s)) return +s;
+  if (/^\d+(:\d{1,2}){1,2}$/.test(s)) return s.split(':').reduce((acc, n) => acc * 60 + +n, 0);
+  const m = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/.exec(s);
+  return m ? (+m[1] || 0) * 3600 + (+m[2] || 0) * 60 + (+m[3] || 0) : 0;
+}
+
+// 760 → "12m40s", 3723 → "1h2m3s"
+export function formatTime(sec) {
+  const t = Math.floor(sec);
+  const h = Math.floor(t / 3600);
+  const m = Math.floor((t % 3600) / 60);
+  const s = t % 60;
+  return `${h ? `${h}h` : ''}${h || m ? `${m}m` : ''}${s}s`;
+}
@@ -0,0 +1,149 @@
+/**
+ * details.js — X Stream & Play
+ * Per-entry details drawer: title, source URL, seek-preview and chapter
+ * tracks, the low-latency (LL-HLS) opt-in for live streams, tags, notes and
+ * a custom thumbnail captured from the playing video or set from an image URL.
+ * library.js owns the entries and validates/applies the edits through the
+ * callbacks injected with initDetails().
+ */
+
+import { captureFrame } from './player.js';
+import { isValidUrl } from './library-io.js';
+import { escHtml } from './format.js';
+
+// ── State ──────────────────────────────────────────────────────────────────
+let editingId  = null;
+let draftThumb = null;   // Thumbnail being edited (data URL, image URL or null)
+
+// Injected by library.js
+let deps = {
+  getEntry: () => null,
+  update:   () => null,   // (id, changes) → error message or null
+  isActive: () => false,
+  toast:    () => {},
+};
+
+// ── DOM Refs ───────────────────────────────────────────────────────────────
+let drawer, backdrop, thumbBox, thumbUrlInput, captureBtn, titleInput,
+    urlInput, trackInput, chaptersInput, lowLatencyInput, tagsInput, notesInput, metaEl;
+
+// ─────────────────────────────────────────────────────────────────────────
+export function initDetails(d) {
+  deps = { ...deps, ...d };
+
+  drawer        = document.getElementById('detailsDrawer');
+  backdrop      = document.getElementById('drawerBackdrop');
+  thumbBox      = document.getElementById('detailsThumb');
+  thumbUrlInput = document.getElementById('detailsThumbUrl');
+  captureBtn    = document.getElementById('detailsCaptureBtn');
+  titleInput    = document.getElementById('detailsTitle');
+  urlInput      = document.getElementById('detailsUrl');
+  trackInput    = document.getElementById('detailsPreviewTrack');
+  chaptersInput = document.getElementById('detailsChapters');
+  lowLatencyInput = document.getElementById('detailsLowLatency');
+  tagsInput     = document.getElementById('detailsTags');
+  notesInput    = document.getElementById('detailsNotes');
+  metaEl        = document.getElementById('detailsMeta');
+
+  document.getElementById('detailsCloseBtn').addEventListener('click', closeDetails);
+  document.getElementById('detailsCancelBtn').addEventListener('click', closeDetails);
+  document.getElementById('detailsSaveBtn').addEventListener('click', _saveDetails);
+  document.getElementById('detailsThumbClearBtn').addEventListener('click', () => _setDraftThumb(null));
+  backdrop.addEventListener('click', closeDetails);
+  captureBtn.addEventListener('click', _captureThumb);
+  thumbUrlInput.addEventListener('change', _thumbFromUrl);
+
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && editingId !== null) closeDetails();
+  });
+}
+
+// meta: read-only facts shown under the form, e.g. { Format: 'MP4' }
+export function openDetails(id, meta = {}) {
+  const v = deps.getEntry(id);
+  if (!v) return;
+  editingId = id;
+
+  titleInput.value    = v.title;
+  urlInput.value      = v.local ? 'Local file (this session only)' : v.url;
+  urlInput.readOnly   = !!v.local;
+  trackInput.value    = v.previewTrack || '';
+  chaptersInput.value = v.chapterTrack || '';
+  lowLatencyInput.checked = !!v.lowLatency;
+  tagsInput.value     = (v.tags || []).join(', ');
+  notesInput.value    = v.notes || '';
+  thumbUrlInput.value = v.thumb && !v.thumb.startsWith('data:') ? v.thumb : '';
+  _setDraftThumb(v.thumb || null);
+
+  const playing = deps.isActive(id);
+  captureBtn.disabled = !playing;
+  captureBtn.title    = playing ? 'Use the frame currently shown in the player' : 'Play this video to capture a frame';
+
+  metaEl.innerHTML = Object.entries(meta)
+    .map(([k, val]) => `<span>${escHtml(k)}</span><span>${escHtml(val)}</span>`).join('');
+
+  drawer.classList.add('active');
+  backdrop.classList.add('active');
+  drawer.setAttribute('aria-hidden', 'false');
+  titleInput.focus();
+}
+
+export function closeDetails() {
+  editingId = null;
+  drawer.classList.remove('active');
+  backdrop.classList.remove('active');
+  drawer.setAttribute('aria-hidden', 'true');
+}
+
+// ─── Thumbnail ─────────────────────────────────────────────────────────────
+function _setDraftThumb(src) {
+  draftThumb = src;
+  if (!src) thumbUrlInput.value = '';
+  thumbBox.innerHTML = src
+    ? `<img src="${escHtml(src)}" alt="">`
+    : '<span class="details-thumb-empty">No thumbnail</span>';
+  const img = thumbBox.querySelector('img');
+  if (img) img.addEventListener('error', () => {
+    thumbBox.innerHTML = '<span class="details-thumb-empty">Image could not be loaded</span>';
+  });
+}
+
+function _captureThumb() {
+  if (!deps.isActive(editingId)) return;
+  const data = captureFrame();
+  if (!data) {
+    deps.toast('Frame capture is blocked for this source (no CORS) or nothing is showing yet.', 'error');
+    return;
+  }
+  thumbUrlInput.value = '';
+  _setDraftThumb(data);
+}
+
+function _thumbFromUrl() {
+  const url = thumbUrlInput.value.trim();
+  if (!url) { _setDraftThumb(null); return; }
+  if (!isValidUrl(url)) { deps.toast('Thumbnail must be an http(s) image URL.', 'error'); return; }
+  _setDraftThumb(url);
+}
+
+// ─── Save ──────────────────────────────────────────────────────────────────
+function _saveDetails() {
+  const v = deps.getEntry(editingId);
+  if (!v) { closeDetails(); return; }
+
+  const changes = {
+    title: titleInput.value.trim(),
+    tags:  [...new Set(tagsInput.value.split(',').map(t => t.trim().slice(0, 32)).filter(Boolean))],
+    notes: notesInput.value.trim(),
+    thumb: draftThumb,
+    previewTrack: trackInput.value.trim(),
+    chapterTrack: chaptersInput.value.trim(),
+    lowLatency:   lowLatencyInput.checked,
+  };
+  if (!v.local) changes.url = urlInput.value.trim();
+
+  const err = deps.update(editingId, changes);
+  if (err) { deps.toast(err, 'error'); return; }
+  closeDetails();
+  deps.toast('Details saved.', 'success');
+}
@@ -0,0 +1,143 @@
+/**
+ * embed.js — X Stream & Play
+ * Standalone player for iframes (embed.html). Boots only the player, loads
+ * the source from the query string and exposes a postMessage control API to
+ * the parent page.
+ *
+ *   embed.html?src=<url>&title=<text>&start=<90 | 1:30 | 1m30s>
+ *             &autoplay=<1|0>&muted=<1|0>&ll=<1|0>&origin=<parent origin>
+ *
+ * ── Commands (parent → player) ────────────────────────────────────────────
+ *   frame.contentWindow.postMessage({ xstream: 'play' }, '*')
+ *   { xstream: 'pause' }
+ *   { xstream: 'seek', time: 42 }                  absolute, in seconds
+ *   { xstream: 'load', src, title?, start?, autoplay?, lowLatency? }
+ *   { xstream: 'setQuality', quality: 720 | 'auto' }
+ *   { xstream: 'setVolume', volume: 0..1, muted? }
+ *   { xstream: 'getState' }                        → 'state' event
+ * Add an `id` to any command to get { event: 'result', id, ok, error? } back.
+ *
+ * ── Events (player → parent) ──────────────────────────────────────────────
+ *   { source: 'xstream-player', event, data }
+ *   ready        { version, state }
+ *   loaded       { src, title }
+ *   play / pause { currentTime }
+ *   timeupdate   { currentTime, duration, live }   at most 4 per second
+ *   ended        {}
+ *   error        { message }
+ *   levelswitch  { index, height, bitrate }
+ *   notice       { message, type }
+ *   state        { src, currentTime, duration, paused, live, quality, levels, … }
+ *
+ * Commands are only accepted from the embedding window. With ?origin= set,
+ * events are posted to (and commands accepted from) that origin only.
+ */
+
+import { initPlayer, getPlayer, loadVideo, setPlayerHooks, setQuality } from './player.js';
+import { parseTime, isShareableUrl } from './deeplink.js';
+
+const API_VERSION    = 1;
+const TIME_EVENT_MS  = 250;   // timeupdate throttle
+
+const params       = new URLSearchParams(location.search);
+const parentOrigin = params.get('origin') || '*';
+let lastTimeEvent  = 0;
+let player         = null;   // The page's Player (player-core.js)
+
+// ─────────────────────────────────────────────────────────────────────────
+export function initEmbed() {
+  initPlayer();
+  player = getPlayer();
+
+  setPlayerHooks({
+    onNotice: (message, type) => _emit('notice', { message, type: type || 'info' }),
+  });
+
+  player.on('play',        () => _emit('play',  { currentTime: player.video.currentTime }));
+  player.on('pause',       () => _emit('pause', { currentTime: player.video.currentTime }));
+  player.on('ended',       () => _emit('ended'));
+  player.on('levelswitch', level => { if (level.index >= 0) _emit('levelswitch', level); });
+  player.on('error',       ({ message, fatal }) => { if (fatal) _emit('error', { message }); });
+  player.on('timeupdate',  ({ currentTime, duration }) => {
+    const now = performance.now();
+    if (now - lastTimeEvent < TIME_EVENT_MS) return;
+    lastTimeEvent = now;
+    _emit('timeupdate', { currentTime, duration: isFinite(duration) ? duration : null, live: player.live });
+  });
+
+  window.addEventListener('message', _onMessage);
+
+  player.video.muted = params.get('muted') !== '0';
+  const src = params.get('src');
+  if (src) {
+    _load({
+      src,
+      title:    params.get('title'),
+      start:    params.get('start'),
+      autoplay: params.get('autoplay') !== '0',
+      lowLatency: params.get('ll') === '1',
+    });
+  } else {
+    document.getElementById('playerWrap').classList.add('visible');
+    document.getElementById('playerErrorMsg').textContent = 'No source — add ?src=<video URL> to the embed URL.';
+    document.getElementById('playerError').classList.add('active');
+  }
+
+  _emit('ready', { version: API_VERSION, state: player.getState() });
+}
+
+// ─── Commands ─────────────────────────────────────────────────────────────
+function _onMessage(e) {
+  if (e.source !== window.parent || e.source === window) return;
+  if (parentOrigin !== '*' && e.origin !== parentOrigin) return;
+  const msg = e.data;
+  if (!msg || typeof msg.xstream !== 'string') return;
+
+  let error = null;
+  try {
+    error = _run(msg);
+  } catch (err) {
+    error = err.message || String(err);
+  }
+  if (msg.id != null) _emit('result', { id: msg.id, ok: !error, ...(error ? { error } : {}) });
+}
+
+// Returns an error message, or null on success
+function _run(msg) {
+  switch (msg.xstream) {
+    case 'play':     player.play(); return null;
+    case 'pause':    player.pause(); return null;
+    case 'seek':
+      if (!isFinite(msg.time)) return 'seek needs a numeric `time` in seconds.';
+      player.seek(+msg.time);
+      return null;
+    case 'load':
+      if (!isShareableUrl(msg.src)) return 'load needs an http(s) `src`.';
+      _load(msg);
+      return null;
+    case 'setQuality':
+      return setQuality(msg.quality) ? null : 'This source has no selectable quality levels.';
+    case 'setVolume':
+      if (msg.volume != null) player.video.volume = Math.max(0, Math.min(1, +msg.volume));
+      if (msg.muted != null)  player.video.muted  = !!msg.muted;
+      return null;
+    case 'getState':
+      _emit('state', player.getState());
+      return null;
+    default:
+      return `Unknown command: ${msg.xstream}`;
+  }
+}
+
+function _load({ src, title, start, autoplay = true, lowLatency = false }) {
+  const name = title || decodeURIComponent(src.split('?')[0].split('/').pop() || '') || 'Untitled';
+  loadVideo(src, name, { startAt: parseTime(start), autoplay, lowLatency });
+  document.title = `${name} — X Stream & Play`;
+  _emit('loaded', { src, title: name });
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────
+function _emit(event, data = {}) {
+  if (window.parent === window) return;
+  window.parent.postMessage({ source: 'xstream-player', event, data }, parentOrigin);
+}
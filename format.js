@@ -0,0 +1,48 @@
+/**
+ * format.js — X Stream & Play
+ * Small helpers shared by the UI modules: HTML escaping for template
+ * strings, and display formats for times, sizes, bitrates and file types.
+ */
+
+// Safe for element content and quoted attribute values (single or double)
+export function escHtml(s) {
+  return String(s)
+    .replace(/&/g,'&amp;').replace(/</g,'&lt;')
+    .replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+}
+
+// 75 → "1:15", 3725 → "1:02:05"; `decimals` adds fractions of a second
+// ("1:15.4"). Unknown times show as "–".
+export function fmtTime(sec, decimals = 0) {
+  if (!isFinite(sec)) return '–';
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const s = decimals
+    ? (sec % 60).toFixed(decimals).padStart(decimals + 3, '0')
+    : String(Math.floor(sec % 60)).padStart(2, '0');
+  if (h > 0) return `${h}:${String(m).padStart(2,'0')}:${s}`;
+  return `${m}:${s}`;
+}
+
+export function fmtSize(bytes) {
+  if (bytes >= 1e9) return (bytes / 1e9).toFixed(2) + ' GB';
+  if (bytes >= 1e6) return (bytes / 1e6).toFixed(1) + ' MB';
+  if (bytes >= 1e3) return (bytes / 1e3).toFixed(0) + ' KB';
+  return bytes + ' B';
+}
+
+export function fmtBitrate(bps) {
+  if (bps >= 1_000_000) return `${(bps / 1_000_000).toFixed(2)} Mbps`;
+  if (bps >= 1_000)     return `${(bps / 1_000).toFixed(0)} kbps`;
+  return `${Math.round(bps)} bps`;
+}
+
+// Lower-case extension of the URL's path ("m3u8", "mp4", …)
+export function fileExt(url) {
+  try {
+    const path = new URL(url).pathname;
+    return path.split('.').pop().toLowerCase().split('?')[0];
+  } catch (_) {
+    return url.split('.').pop().toLowerCase().split('?')[0];
+  }
+}
@@ -1,7 +1,7 @@
 /**
  * hls-config.js — X Stream & Play
  * HLS.js configuration exposed as window.HLS_CONFIG.
- * player.js reads this before initialising HLS.js.
+ * player-core.js reads this before initialising HLS.js.
  *
  * Tuned for smooth adaptive-bitrate playback across mobile and desktop.
  * Adjust values as needed for your CDN / network environment.
@@ -30,10 +30,12 @@ window.HLS_CONFIG = {
   // Start at lowest quality level for fast initial load, then ramp up
   startLevel: -1,   // -1 = auto
 
-  // Cap level selection to avoid unnecessary resolution jumps
+  // Cap level selection to avoid unnecessary resolution jumps (suspended by
+  // player-core.js while the data-saver quality cap is set)
   capLevelToPlayerSize: true,
 
-  // Low-latency disabled by default (enable for live streams if needed)
+  // Low-latency (LL-HLS) off by default; player-core.js turns it on for entries
+  // that opt in from the details drawer
   lowLatencyMode: false,
 
   // Debug logging (set true to see HLS.js logs in console)
@@ -0,0 +1,210 @@
+/**
+ * library-io.js — X Stream & Play
+ * Library backup and exchange formats: versioned JSON export, extended M3U
+ * export, and an import parser that accepts either of those or a plain
+ * newline-separated list of URLs. No DOM or storage access — library.js owns
+ * the state and applies the results.
+ */
+
+import { LINK_STATUS } from './linkcheck.js';
+
+export const EXPORT_FORMAT  = 'xstream-library';
+export const EXPORT_VERSION = 1;
+
+// ─── Export ───────────────────────────────────────────────────────────────
+export function buildJsonExport(videos, playlists = []) {
+  return JSON.stringify({
+    format:     EXPORT_FORMAT,
+    version:    EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    videos,
+    playlists,
+  }, null, 2);
+}
+
+// durations: id → seconds (unknown durations are written as -1)
+export function buildM3u(videos, durations = {}) {
+  const lines = ['#EXTM3U'];
+  videos.forEach(v => {
+    const d = durations[v.id];
+    lines.push(`#EXTINF:${d && isFinite(d) ? Math.round(d) : -1},${v.title.replace(/[\r\n]+/g, ' ')}`);
+    lines.push(v.url);
+  });
+  return lines.join('\n') + '\n';
+}
+
+export function downloadFile(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ─── Import ───────────────────────────────────────────────────────────────
+// Returns { entries: [{ url, title?, ...meta }], playlists: [...], invalid }
+// where `invalid` counts lines/items that were not usable URLs.
+export function parseImport(text) {
+  const src = text.replace(/^\uFEFF/, '').trim();
+  if (!src) return { entries: [], playlists: [], invalid: 0 };
+
+  if (src.startsWith('{') || src.startsWith('[')) return _parseJson(src);
+  if (/^#EXT-X-(TARGETDURATION|STREAM-INF|MEDIA-SEQUENCE)/m.test(src)) {
+    throw new Error('That is an HLS stream manifest — add its URL as a single video instead.');
+  }
+  if (/^#EXTM3U|^#EXTINF/m.test(src)) return _parseM3u(src);
+  return parseUrlList(src);
+}
+
+export function parseUrlList(text) {
+  const entries = [];
+  let invalid = 0;
+  text.split(/[\r\n]+/).map(l => l.trim()).filter(Boolean).forEach(line => {
+    if (line.startsWith('#')) return;
+    if (isValidUrl(line)) entries.push({ url: line });
+    else invalid++;
+  });
+  return { entries, playlists: [], invalid };
+}
+
+export function isValidUrl(str) {
+  try {
+    const u = new URL(str);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+}
+
+// ─── Imported entry fields ────────────────────────────────────────────────
+// A backup entry reduced to the fields the library knows, each with the type
+// render() and the player expect; anything else (ids, local-file keys,
+// unknown or malformed fields) is dropped. The url is checked by the caller.
+export function sanitizeEntry(item) {
+  const out = {};
+  if (typeof item.title === 'string') out.title = item.title;
+  if (_num(item.addedAt)) out.addedAt = item.addedAt;
+
+  const tags = Array.isArray(item.tags) ? item.tags.filter(t => typeof t === 'string' && t.trim()) : [];
+  if (tags.length) out.tags = tags;
+  if (typeof item.notes === 'string' && item.notes) out.notes = item.notes;
+  if (_isThumb(item.thumb)) out.thumb = item.thumb;
+  ['previewTrack', 'chapterTrack'].forEach(k => { if (isValidUrl(item[k])) out[k] = item[k]; });
+  if (item.lowLatency === true) out.lowLatency = true;
+  if (item.watched === true) out.watched = true;
+
+  const p = item.progress;
+  if (p && _num(p.time) && _num(p.duration)) {
+    out.progress = { time: p.time, duration: p.duration, updatedAt: _num(p.updatedAt) ? p.updatedAt : Date.now() };
+  }
+  const c = item.linkCheck;
+  if (c && Object.hasOwn(LINK_STATUS, c.status)) {
+    out.linkCheck = {
+      status:    c.status,
+      detail:    typeof c.detail === 'string' ? c.detail : '',
+      checkedAt: _num(c.checkedAt) ? c.checkedAt : Date.now(),
+    };
+  }
+  const h = item.health;
+  if (h && (_num(h.lastOkAt) || _num(h.lastErrorAt))) {
+    out.health = {};
+    if (_num(h.lastOkAt)) out.health.lastOkAt = h.lastOkAt;
+    if (_num(h.lastErrorAt)) {
+      out.health.lastErrorAt = h.lastErrorAt;
+      out.health.lastError   = typeof h.lastError === 'string' ? h.lastError : 'Playback error';
+    }
+  }
+
+  // Subtitle attachments: { id, label, lang, format, url? | text?, offset }
+  const subs = (Array.isArray(item.subtitles) ? item.subtitles : [])
+    .filter(t => t && _num(t.id) && (isValidUrl(t.url) || typeof t.text === 'string'))
+    .map(t => ({
+      id:     t.id,
+      label:  typeof t.label === 'string' ? t.label : 'Subtitles',
+      lang:   typeof t.lang === 'string' ? t.lang : '',
+      format: typeof t.format === 'string' ? t.format : 'vtt',
+      ...(isValidUrl(t.url) ? { url: t.url } : { text: t.text }),
+      offset: _num(t.offset) ? t.offset : 0,
+    }));
+  if (subs.length) out.subtitles = subs;
+
+  // Bookmarks: { time, label? }, sorted by time
+  const marks = (Array.isArray(item.bookmarks) ? item.bookmarks : [])
+    .filter(b => b && _num(b.time) && b.time >= 0)
+    .map(b => (typeof b.label === 'string' && b.label ? { time: b.time, label: b.label } : { time: b.time }))
+    .sort((a, b) => a.time - b.time);
+  if (marks.length) out.bookmarks = marks;
+  return out;
+}
+
+// Custom thumbnails are picked image files (data URLs) or http(s) image URLs
+function _isThumb(v) {
+  return typeof v === 'string' && (v.startsWith('data:image/') || isValidUrl(v));
+}
+
+function _num(v) {
+  return typeof v === 'number' && isFinite(v);
+}
+
+function _parseJson(src) {
+  let data;
+  try {
+    data = JSON.parse(src);
+  } catch (e) {
+    throw new Error('Not valid JSON: ' + e.message);
+  }
+
+  if (!Array.isArray(data)) {
+    if (data.format !== EXPORT_FORMAT) throw new Error('Unrecognised JSON backup format.');
+    if (data.version > EXPORT_VERSION) {
+      throw new Error(`Backup version ${data.version} is newer than this app supports.`);
+    }
+  }
+
+  const list = Array.isArray(data) ? data : (data.videos || []);
+  const entries = [];
+  let invalid = 0;
+  list.forEach(item => {
+    const entry = typeof item === 'string' ? { url: item } : item;
+    if (entry && typeof entry.url === 'string' && isValidUrl(entry.url.trim())) {
+      entries.push({ ...entry, url: entry.url.trim() });
+    } else {
+      invalid++;
+    }
+  });
+
+  const playlists = Array.isArray(data) ? [] : (data.playlists || []).filter(p => p && Array.isArray(p.items));
+  return { entries, playlists, invalid };
+}
+
+// #EXTINF:<duration> [attr="…" …],<title> followed by the URL line
+function _parseM3u(src) {
+  const entries = [];
+  let invalid = 0;
+  let title = null;
+
+  src.split(/\r?\n/).map(l => l.trim()).filter(Boolean).forEach(line => {
+    if (line.startsWith('#EXTINF:')) {
+      title = _extinfTitle(line);
+      return;
+    }
+    if (line.startsWith('#')) return;
+    if (isValidUrl(line)) entries.push(title ? { url: line, title } : { url: line });
+    else invalid++;
+    title = null;
+  });
+  return { entries, playlists: [], invalid };
+}
+
+// Title follows the first comma that is not inside a quoted attribute
+function _extinfTitle(line) {
+  let quoted = false;
+  for (let i = 8; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ',' && !quoted) return line.slice(i + 1).trim() || null;
+  }
+  return null;
+}
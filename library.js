@@ -1,21 +1,85 @@
 /**
  * library.js — X Stream & Play
  * Video library management: localStorage persistence, compact card rendering,
- * real metadata loading (duration via hidden video, file size via HEAD request).
+ * real metadata loading (duration via hidden video, file size via HEAD request,
+ * poster / hover-preview thumbnails via thumbs.js),
+ * watch-progress persistence and resume, JSON / M3U import-export, bulk
+ * paste and drag-and-drop of links, list files and local video files, and
+ * search / sort / format and tag filters over the list, and inline rename
+ * plus the per-entry details drawer (details.js). Shared deep links
+ * (#play=<url>&t=…, see deeplink.js) add and play their video on load, and
+ * links shared from other apps (Web Share Target) are added to the library.
+ * Entries can be saved for offline playback (offline.js) from their card;
+ * the Offline panel lists the copies and the storage they use.
  */
 
-import { loadVideo } from './player.js';
+import { loadVideo, closePlayer, setPlayerHooks, captureFrame } from './player.js';
+import {
+  initPlaylists, queueSelect, playNext, playPrev, onQueueEnded, enqueue, forget,
+  renderQueue, getPlaylists, importPlaylists,
+} from './playlists.js';
+import { initDetails, openDetails } from './details.js';
+import {
+  getThumb, loadThumbs, savePoster, deleteThumbs, clearThumbs, pruneThumbs, bindHoverPreview,
+} from './thumbs.js';
+import {
+  buildJsonExport, buildM3u, downloadFile, parseImport, isValidUrl, sanitizeEntry,
+} from './library-io.js';
+import { checkLinks, checkLink, LINK_STATUS } from './linkcheck.js';
+import { signedUrlExpiry, isSameSignedResource } from './signedurl.js';
+import { readDeepLink } from './deeplink.js';
+import { loadAttachments, saveAttachments, slimEntry } from './attachments.js';
+import {
+  initOffline, offlineInfo, listOffline, storageEstimate, saveOffline, pauseOffline,
+  deleteOffline, clearOffline, moveOffline, pruneOffline,
+} from './offline.js';
+import { escHtml, fmtTime, fmtSize, fileExt } from './format.js';
 
 // ── State ──────────────────────────────────────────────────────────────────
 let videos      = JSON.parse(localStorage.getItem('xstream_videos') || '[]');
 let unknownCount = parseInt(localStorage.getItem('xstream_unk') || '0', 10);
 let activeId    = null;
+let lastId      = 0;     // Keeps ids unique when many entries are created at once
+let dragDepth   = 0;     // dragenter/dragleave balance for the drop highlight
+
+// Library view: sort key and filters persist, the search text does not
+let view = Object.assign(
+  { sort: 'added', formats: [], tag: null },
+  JSON.parse(localStorage.getItem('xstream_view') || '{}'),
+  { query: '' }
+);
+
+// Dropped files that are read as link lists rather than played
+const LIST_FILE_RE  = /\.(m3u8?|txt|json)$/i;
+const VIDEO_FILE_RE = /\.(mp4|mkv|webm|m4v|mov|ogv|ts|avi|3gp|mp3|m4a|flac|wav|ogg)$/i;
 
 // Cache for fetched metadata: id → { duration, size, hasLoaded }
 const metaCache = {};
 
+// Watch progress: entries carry { progress: { time, duration, updatedAt }, watched }
+const RESUME_MIN    = 10;    // Don't offer resume for the first few seconds
+const WATCHED_RATIO = 0.95;  // Fraction played that counts as "watched"
+const SAVE_EVERY_MS = 5000;  // Throttle for localStorage writes during playback
+let lastProgressSave = 0;
+let saveFailed       = false;   // Last localStorage write hit the quota (reported once)
+
+// Streams get their poster from the player during the first segment
+const STREAM_THUMB_WINDOW = [1, 8];   // seconds of playback
+const streamThumbTried = new Set();
+
+// Running "Check links" pass (AbortController), null when idle
+let linkCheck = null;
+
+// Signed links: countdown chips refresh on this interval; under an hour left
+// the chip turns to a warning
+const EXPIRY_TICK_MS = 30000;
+const EXPIRY_SOON_MS = 3600000;
+
 // ── DOM Refs ───────────────────────────────────────────────────────────────
-let urlInput, addBtn, videoList, countBadge, clearAllBtn;
+let urlInput, addBtn, videoList, countBadge, clearAllBtn,
+    importPanel, importText, importFile, addPanel, checkLinksBtn, linkReport, linkReportList,
+    libraryFilters, searchInput, sortSelect, formatChips, tagChips,
+    offlinePanel, offlineList;
 
 // ─────────────────────────────────────────────────────────────────────────
 export function initLibrary() {
@@ -24,12 +88,112 @@ export function initLibrary() {
   videoList   = document.getElementById('videoList');
   countBadge  = document.getElementById('countBadge');
   clearAllBtn = document.getElementById('clearAllBtn');
+  importPanel = document.getElementById('importPanel');
+  importText  = document.getElementById('importText');
+  importFile  = document.getElementById('importFile');
+  addPanel    = document.getElementById('add');
+  checkLinksBtn  = document.getElementById('checkLinksBtn');
+  linkReport     = document.getElementById('linkReport');
+  linkReportList = document.getElementById('linkReportList');
+  libraryFilters = document.getElementById('libraryFilters');
+  searchInput = document.getElementById('librarySearch');
+  sortSelect  = document.getElementById('librarySort');
+  formatChips = document.getElementById('formatChips');
+  tagChips    = document.getElementById('tagChips');
+  offlinePanel = document.getElementById('offlinePanel');
+  offlineList  = document.getElementById('offlineList');
 
   addBtn.addEventListener('click', addVideo);
   urlInput.addEventListener('keydown', e => { if (e.key === 'Enter') addVideo(); });
+  urlInput.addEventListener('paste', _onUrlPaste);
   clearAllBtn.addEventListener('click', clearAll);
 
+  // Drag-and-drop of links, list files and local videos anywhere on the page
+  document.addEventListener('dragenter', _onDragEnter);
+  document.addEventListener('dragover',  _onDragOver);
+  document.addEventListener('dragleave', _onDragLeave);
+  document.addEventListener('drop',      _onDrop);
+
+  // Import / export
+  document.getElementById('importToggleBtn').addEventListener('click', () => {
+    importPanel.classList.toggle('active');
+    if (importPanel.classList.contains('active')) importText.focus();
+  });
+  document.getElementById('importRunBtn').addEventListener('click', () => {
+    if (!_addFromText(importText.value)) return;
+    importText.value = '';
+    importPanel.classList.remove('active');
+  });
+  document.getElementById('importFileBtn').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (file && _addFromText(await file.text())) importPanel.classList.remove('active');
+  });
+  document.getElementById('exportJsonBtn').addEventListener('click', exportJson);
+  document.getElementById('exportM3uBtn').addEventListener('click', exportM3u);
+
+  // Dead-link checker
+  checkLinksBtn.addEventListener('click', checkAllLinks);
+  document.getElementById('removeBrokenBtn').addEventListener('click', removeBroken);
+  document.getElementById('linkReportCloseBtn').addEventListener('click', () => linkReport.classList.remove('active'));
+
+  // Offline copies
+  document.getElementById('offlineBtn').addEventListener('click', () => {
+    offlinePanel.classList.toggle('active');
+    _renderOfflinePanel();
+  });
+  document.getElementById('offlineCloseBtn').addEventListener('click', () => offlinePanel.classList.remove('active'));
+  document.getElementById('clearOfflineBtn').addEventListener('click', clearOfflineCopies);
+
+  // Search / sort / filter
+  searchInput.addEventListener('input', () => { view.query = searchInput.value; render(); });
+  searchInput.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && searchInput.value) { searchInput.value = view.query = ''; render(); }
+  });
+  sortSelect.value = view.sort;
+  sortSelect.addEventListener('change', () => { view.sort = sortSelect.value; _saveView(); render(); });
+
+  setPlayerHooks({
+    onTime:  _onPlayerTime,
+    onEnded: _onPlayerEnded,
+    onNext:  () => playNext() || showToast('End of queue.'),
+    onPrev:  () => playPrev() || showToast('Start of queue.'),
+    onSubtitlesChange: _onSubtitlesChange,
+    onBookmarksChange: _onBookmarksChange,
+    onNotice: showToast,
+    onHealth: _onPlaybackHealth,
+  });
+  initPlaylists({ getVideos: () => videos, play: playVideo, toast: showToast });
+  initDetails({
+    getEntry: id => videos.find(v => v.id === id),
+    update:   _applyDetails,
+    isActive: id => id === activeId,
+    toast:    showToast,
+  });
+  window.addEventListener('pagehide', _save);
+
+  bindHoverPreview(videoList);
+  setInterval(_tickExpiry, EXPIRY_TICK_MS);
+  pruneThumbs(_persistent().map(v => v.id));
+  initOffline({ onChange: _onOfflineChange, notify: showToast }).then(() => {
+    pruneOffline(_persistent().map(v => v.url));
+    render();
+  });
+
   render();
+
+  // Thumbnails and subtitle text stored apart from localStorage; older saves
+  // that still have them inline are migrated by the _save().
+  // Then links shared from other apps (installed app) and shared deep links:
+  // on load, and when one is pasted into the address bar
+  loadAttachments(videos).then(() => {
+    _save();
+    render();
+    _addSharedLink();
+    _openDeepLink();
+    window.addEventListener('hashchange', _openDeepLink);
+  });
 }
 
 // ─── Add video ─────────────────────────────────────────────────────────────
@@ -37,78 +201,877 @@ function addVideo() {
   const url = urlInput.value.trim();
   if (!url) { showToast('Please enter a video URL.', 'error'); return; }
 
+  // Several URLs typed or pasted on one line
+  if (/\s/.test(url)) {
+    if (_addFromText(url.split(/\s+/).join('\n'))) urlInput.value = '';
+    return;
+  }
+
+  if (_addUrl(url)) urlInput.value = '';
+}
+
+// Add one URL as a new entry (the Add button and the share target).
+// Returns false when the URL is already in the library.
+function _addUrl(url, title) {
   // Duplicate guard
-  if (videos.some(v => v.url === url)) {
+  if (_hasUrl(url)) {
     showToast('This URL is already in your library.', 'error');
-    return;
+    return false;
   }
 
-  let title = extractTitle(url);
+  const entry = _createEntry(url, title);
+
+  videos.unshift(entry);
+  _save();
+  render();
+  showToast('Added: ' + entry.title, 'success');
+
+  // Asynchronously fetch metadata for the new card
+  _loadMeta(entry.id, url);
+  return true;
+}
+
+// Build a new entry; the title falls back to extractTitle() and then to
+// "Untitled Stream N". `extra` carries imported per-entry metadata.
+function _createEntry(url, title, extra = {}) {
+  title = (title || '').trim() || extractTitle(url);
   if (!title || title.length < 2) {
     unknownCount++;
     title = 'Untitled Stream ' + unknownCount;
   }
 
-  const entry = {
-    id: Date.now(),
+  lastId = Math.max(Date.now(), lastId + 1);
+  return {
+    ...extra,
+    id: lastId,
     title,
     url,
-    addedAt: Date.now(),
+    addedAt: extra.addedAt || Date.now(),
   };
+}
 
-  videos.unshift(entry);
+function _hasUrl(url) {
+  return videos.some(v => v.url === url);
+}
+
+// ─── Bulk add ──────────────────────────────────────────────────────────────
+// A multi-line paste would be flattened by the single-line input, so take
+// it from the clipboard and add every URL at once.
+function _onUrlPaste(e) {
+  const text = e.clipboardData?.getData('text') || '';
+  if (text.trim().split(/\s+/).length < 2) return;
+  e.preventDefault();
+  _addFromText(text);
+}
+
+// Add everything in a JSON backup, M3U playlist or URL list and report a
+// summary. Returns false when the text could not be used at all.
+function _addFromText(text) {
+  let parsed;
+  try {
+    parsed = parseImport(text);
+  } catch (e) {
+    showToast(e.message, 'error');
+    return false;
+  }
+
+  const { added, skipped, idMap } = importEntries(parsed.entries);
+  const lists = importPlaylists(parsed.playlists, idMap);
+  const bad   = skipped + parsed.invalid;
+
+  if (!added && !bad) { showToast('No video URLs found.', 'error'); return false; }
+  showToast(
+    `Added ${added} video${added !== 1 ? 's' : ''}` +
+    (lists ? `, ${lists} playlist${lists !== 1 ? 's' : ''}` : '') +
+    (bad ? ` · skipped ${bad} (duplicate or invalid)` : '') + '.',
+    added ? 'success' : 'error'
+  );
+  return added > 0;
+}
+
+// ─── Drag and drop ─────────────────────────────────────────────────────────
+function _isFileOrLinkDrag(e) {
+  const types = [...(e.dataTransfer?.types || [])];
+  return types.includes('Files') || types.includes('text/uri-list') || types.includes('text/plain');
+}
+
+// Text fields keep their native drop behaviour
+function _isTextTarget(e) {
+  return !!e.target.closest?.('textarea, input:not(#urlInput)');
+}
+
+function _onDragEnter(e) {
+  if (!_isFileOrLinkDrag(e) || _isTextTarget(e)) return;
+  dragDepth++;
+  addPanel.classList.add('drop-active');
+}
+
+function _onDragOver(e) {
+  if (!_isFileOrLinkDrag(e) || _isTextTarget(e)) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+}
+
+function _onDragLeave(e) {
+  if (!_isFileOrLinkDrag(e) || _isTextTarget(e)) return;
+  if (--dragDepth <= 0) {
+    dragDepth = 0;
+    addPanel.classList.remove('drop-active');
+  }
+}
+
+async function _onDrop(e) {
+  dragDepth = 0;
+  addPanel.classList.remove('drop-active');
+  if (!_isFileOrLinkDrag(e) || _isTextTarget(e)) return;
+  e.preventDefault();
+
+  const files = [...e.dataTransfer.files];
+  if (!files.length) {
+    const text = e.dataTransfer.getData('text/uri-list') || e.dataTransfer.getData('text/plain');
+    if (text) _addFromText(text);
+    return;
+  }
+
+  const media = files.filter(f => /^(video|audio)\//.test(f.type) || VIDEO_FILE_RE.test(f.name));
+  const lists = files.filter(f => !media.includes(f) && LIST_FILE_RE.test(f.name));
+  const other = files.length - media.length - lists.length;
+
+  if (media.length) addLocalFiles(media);
+  for (const f of lists) _addFromText(await f.text());
+  if (other) showToast(`Ignored ${other} unsupported file${other !== 1 ? 's' : ''}.`, 'error');
+}
+
+// ─── Local files ───────────────────────────────────────────────────────────
+// Dropped video files play from object URLs. They are tagged `local` and
+// live for this session only: _save() and the exports leave them out since
+// their blob: URLs are dead after a reload.
+function addLocalFiles(files) {
+  const fresh = [];
+  files.forEach(file => {
+    const key = `${file.name}:${file.size}:${file.lastModified}`;
+    if (videos.some(v => v.localKey === key)) return;
+    const entry = _createEntry(URL.createObjectURL(file), _clean(file.name), {
+      local: true,
+      localKey: key,
+      format: (file.name.match(/\.(\w+)$/)?.[1] || 'file').toUpperCase(),
+    });
+    metaCache[entry.id] = { size: file.size };
+    fresh.push(entry);
+  });
+
+  const dupes = files.length - fresh.length;
+  if (!fresh.length) { showToast('Already in your library.', 'error'); return; }
+  videos.unshift(...fresh);
+  render();
+  // render() only probes entries without a metaCache record, and these
+  // already have their size: probe duration and thumbnails explicitly
+  fresh.forEach(v => _loadMeta(v.id, v.url));
+  showToast(
+    `Added ${fresh.length} local file${fresh.length !== 1 ? 's' : ''} for this session` +
+    (dupes ? ` · skipped ${dupes} already added` : '') + '.',
+    'success'
+  );
+  if (fresh.length === 1) playVideo(fresh[0].id);
+}
+
+function _revokeLocal(v) {
+  if (v.local) URL.revokeObjectURL(v.url);
+}
+
+// ─── Import / export ───────────────────────────────────────────────────────
+// Add parsed entries through the same duplicate guard as addVideo().
+// Returns counts plus a map of exported id → new id for playlists.
+function importEntries(items) {
+  const fresh = [];
+  const idMap = {};
+  let skipped = 0;
+
+  items.forEach(item => {
+    const { id: oldId, url } = item;
+    const { title, ...meta } = sanitizeEntry(item);
+    if (!isValidUrl(url) || _hasUrl(url) || fresh.some(v => v.url === url)) {
+      skipped++;
+      if (oldId != null) idMap[oldId] = videos.find(v => v.url === url)?.id;
+      return;
+    }
+    const entry = _createEntry(url, title, meta);
+    if (oldId != null) idMap[oldId] = entry.id;
+    fresh.push(entry);
+  });
+
+  if (fresh.length) {
+    videos.unshift(...fresh);
+    _save();
+    render();
+  }
+  return { added: fresh.length, skipped, idMap };
+}
+
+function exportJson() {
+  const saved = _persistent();
+  if (!saved.length) { showToast('Your library is empty.', 'error'); return; }
+  downloadFile(`xstream-library-${_stamp()}.json`, buildJsonExport(saved, getPlaylists()), 'application/json');
+}
+
+function exportM3u() {
+  const saved = _persistent();
+  if (!saved.length) { showToast('Your library is empty.', 'error'); return; }
+  const durations = {};
+  saved.forEach(v => { durations[v.id] = metaCache[v.id]?.duration || v.progress?.duration; });
+  downloadFile(`xstream-library-${_stamp()}.m3u`, buildM3u(saved, durations), 'audio/x-mpegurl');
+}
+
+function _stamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// ─── Search / sort / filter ────────────────────────────────────────────────
+const SORTS = {
+  added:    (a, b) => b.addedAt - a.addedAt,
+  oldest:   (a, b) => a.addedAt - b.addedAt,
+  title:    (a, b) => a.title.localeCompare(b.title, undefined, { numeric: true, sensitivity: 'base' }),
+  // Unknown durations / sizes (streams, CORS-blocked HEADs) sort last
+  duration: (a, b) => (_durationOf(b) || -1) - (_durationOf(a) || -1),
+  size:     (a, b) => (metaCache[b.id]?.size || -1) - (metaCache[a.id]?.size || -1),
+};
+
+function _visibleVideos() {
+  const q = view.query.trim().toLowerCase();
+  return videos
+    .filter(v =>
+      (!q || v.title.toLowerCase().includes(q)
+          || (!v.local && v.url.toLowerCase().includes(q))
+          || (v.tags || []).some(t => t.toLowerCase().includes(q))
+          || (v.notes || '').toLowerCase().includes(q)) &&
+      (!view.formats.length || view.formats.includes(_formatOf(v))) &&
+      (!view.tag || (v.tags || []).includes(view.tag)))
+    .sort(SORTS[view.sort] || SORTS.added);
+}
+
+function _durationOf(v) {
+  return metaCache[v.id]?.duration || v.progress?.duration || 0;
+}
+
+function _formatOf(v) {
+  return v.local ? v.format : _guessFormat(v.url);
+}
+
+function toggleFormat(f) {
+  view.formats = view.formats.includes(f)
+    ? view.formats.filter(x => x !== f)
+    : [...view.formats, f];
+  _saveView();
+  render();
+}
+
+function selectTag(tag) {
+  view.tag = view.tag === tag ? null : tag;
+  _saveView();
+  render();
+}
+
+function clearFilters() {
+  view.formats = [];
+  view.tag     = null;
+  view.query   = searchInput.value = '';
+  _saveView();
+  render();
+}
+
+// Chips only for formats / tags actually present; stale selections drop out
+function _renderFilters() {
+  const formats = [...new Set(videos.map(_formatOf))].sort();
+  const tags    = [...new Set(videos.flatMap(v => v.tags || []))]
+    .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+
+  view.formats = view.formats.filter(f => formats.includes(f));
+  if (view.tag && !tags.includes(view.tag)) view.tag = null;
+
+  libraryFilters.hidden = !videos.length;
+  formatChips.innerHTML = formats.length > 1
+    ? formats.map(f => `
+        <button class="filter-chip${view.formats.includes(f) ? ' active' : ''}"
+                data-format="${escHtml(f)}" onclick="window.__xLib.format(this.dataset.format)">${escHtml(f)}</button>`).join('')
+    : '';
+  tagChips.innerHTML = tags.map(t => `
+        <button class="filter-chip filter-chip-tag${view.tag === t ? ' active' : ''}"
+                data-tag="${escHtml(t)}" onclick="window.__xLib.tag(this.dataset.tag)">#${escHtml(t)}</button>`).join('');
+}
+
+// ─── Rename / details ──────────────────────────────────────────────────────
+// Swap the card title for an input; Enter or blur saves, Escape cancels.
+function renameInline(id) {
+  const v    = videos.find(v => v.id === id);
+  const card = videoList.querySelector(`[data-id="${id}"]`);
+  if (!v || !card) return;
+
+  const input = document.createElement('input');
+  input.type      = 'text';
+  input.className = 'card-title-input';
+  input.value     = v.title;
+  input.addEventListener('click', e => e.stopPropagation());
+
+  let done = false;
+  const finish = commit => {
+    if (done) return;
+    done = true;
+    const title = input.value.trim();
+    if (commit && title && title !== v.title) {
+      v.title = title;
+      _save();
+    }
+    render();
+  };
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter')  finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+
+  card.querySelector('.card-title-row').replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+function showDetails(id) {
+  const v = videos.find(v => v.id === id);
+  if (!v) return;
+  const meta = metaCache[id] || {};
+  openDetails(id, {
+    Format: _formatOf(v),
+    Added:  new Date(v.addedAt).toLocaleString(),
+    ...(_durationOf(v) ? { Duration: fmtTime(_durationOf(v)) } : {}),
+    ...(meta.size ? { Size: fmtSize(meta.size) } : {}),
+    ...(v.health?.lastOkAt ? { 'Last played': new Date(v.health.lastOkAt).toLocaleString() } : {}),
+    ...(signedUrlExpiry(v.url) ? { 'Link expires': new Date(signedUrlExpiry(v.url).expiresAt).toLocaleString() } : {}),
+    ...(v.linkCheck ? { 'Link check': `${LINK_STATUS[v.linkCheck.status]} — ${v.linkCheck.detail}` } : {}),
+    ...(v.health?.lastErrorAt ? { 'Last error': `${v.health.lastError} (${new Date(v.health.lastErrorAt).toLocaleString()})` } : {}),
+  });
+}
+
+// Validate and apply an edit from the details drawer; returns an error
+// message, or null once saved.
+function _applyDetails(id, changes) {
+  const v = videos.find(v => v.id === id);
+  if (!v) return 'This video is no longer in the library.';
+  if (!changes.title) return 'Title cannot be empty.';
+
+  const url = changes.url ?? v.url;
+  if (url !== v.url) {
+    if (!isValidUrl(url)) return 'Enter a valid http(s) source URL.';
+    if (_hasUrl(url))     return 'Another entry already uses this URL.';
+  }
+  if (changes.previewTrack && !isValidUrl(changes.previewTrack)) {
+    return 'The seek preview track must be an http(s) WebVTT URL.';
+  }
+  if (changes.chapterTrack && !isValidUrl(changes.chapterTrack)) {
+    return 'The chapter file must be an http(s) WebVTT URL.';
+  }
+
+  if (url !== v.url) _setUrl(v, url);
+  v.title = changes.title;
+  ['tags', 'notes', 'thumb', 'previewTrack', 'chapterTrack'].forEach(k => {
+    const val = changes[k];
+    if (val && val.length) v[k] = val;
+    else delete v[k];
+  });
+  if (changes.lowLatency) v.lowLatency = true;
+  else delete v.lowLatency;
   _save();
-  urlInput.value = '';
   render();
-  showToast('Added: ' + title, 'success');
+  return null;
+}
 
-  // Asynchronously fetch metadata for the new card
-  _loadMeta(entry.id, url);
+// Point an entry at a new source. A fresh signature for the same file keeps
+// the thumbnails and metadata; for a different file everything learned about
+// the old one goes. Title, tags and progress always stay.
+function _setUrl(v, url) {
+  const refreshed = isSameSignedResource(v.url, url);
+  if (refreshed) moveOffline(v.url, url);
+  else deleteOffline(v.url);
+  v.url = url;
+  delete v.linkCheck;
+  if (refreshed) return;
+  delete metaCache[v.id];   // Re-probe duration / size / thumbnails for the new source
+  deleteThumbs(v.id);
+  streamThumbTried.delete(v.id);
+  delete v.health;
 }
 
 // ─── Delete video ──────────────────────────────────────────────────────────
 function deleteVideo(id) {
+  _removeEntry(id);
+  _save();
+  render();
+  _renderLinkReport();
+  showToast('Video removed.');
+}
+
+function _removeEntry(id) {
   if (activeId === id) {
-    document.getElementById('videoPlayer').src = '';
-    document.getElementById('playerWrap').classList.remove('visible');
+    closePlayer();
     activeId = null;
   }
+  videos.filter(v => v.id === id).forEach(v => {
+    _revokeLocal(v);
+    deleteOffline(v.url);
+  });
   videos = videos.filter(v => v.id !== id);
   delete metaCache[id];
+  deleteThumbs(id);
+  forget(id);
+}
+
+// ─── Link check ────────────────────────────────────────────────────────────
+// Probe every saved entry (local files are skipped); clicking again cancels.
+// Results are kept on the entries as v.linkCheck = { status, detail, checkedAt }.
+async function checkAllLinks() {
+  if (linkCheck) { linkCheck.abort(); return; }
+  const items = _persistent().map(v => ({ id: v.id, url: v.url }));
+  if (!items.length) { showToast('No saved links to check.'); return; }
+
+  const ctrl = linkCheck = new AbortController();
+  let done = 0;
+  checkLinksBtn.textContent = `Checking 0/${items.length}… (cancel)`;
+  await checkLinks(items, {
+    signal: ctrl.signal,
+    onResult: (id, result) => {
+      const v = videos.find(v => v.id === id);
+      if (v && v.url === items.find(i => i.id === id).url) {
+        v.linkCheck = result;
+        _updateLinkBadge(v);
+      }
+      checkLinksBtn.textContent = `Checking ${++done}/${items.length}… (cancel)`;
+    },
+  });
+  linkCheck = null;
+  checkLinksBtn.textContent = 'Check links';
   _save();
   render();
-  showToast('Video removed.');
+
+  const broken = _brokenVideos().length;
+  if (ctrl.signal.aborted) showToast(`Link check cancelled after ${done} of ${items.length}.`);
+  else if (broken) showToast(`${broken} of ${items.length} links are broken.`, 'error');
+  else showToast(`All ${items.length} links are OK.`, 'success');
+  if (broken) _renderLinkReport(true);
+}
+
+function _brokenVideos() {
+  return videos.filter(v => v.linkCheck && v.linkCheck.status !== 'ok');
+}
+
+// Ask for a new URL for a broken entry and re-check it right away
+async function replaceUrl(id) {
+  const v = videos.find(v => v.id === id);
+  if (!v) return;
+  const url = (prompt(`New URL for "${v.title}":`, v.url) || '').trim();
+  if (!url || url === v.url) return;
+  if (!isValidUrl(url)) { showToast('Enter a valid http(s) URL.', 'error'); return; }
+  if (_hasUrl(url))     { showToast('Another entry already uses this URL.', 'error'); return; }
+
+  _setUrl(v, url);
+  _save();
+  render();
+  _renderLinkReport();
+  const result = await checkLink(url);
+  if (v.url !== url) return;
+  v.linkCheck = result;
+  _save();
+  render();
+  _renderLinkReport();
+  showToast(`${v.title}: ${LINK_STATUS[result.status]}`, result.status === 'ok' ? 'success' : 'error');
+}
+
+// ─── Signed-URL expiry ─────────────────────────────────────────────────────
+// Paste a re-signed link for an entry. Returns true when the URL was replaced.
+function refreshLink(id) {
+  const v = videos.find(v => v.id === id);
+  if (!v) return false;
+  const url = (prompt(`Paste a refreshed link for "${v.title}":`) || '').trim();
+  if (!url || url === v.url) return false;
+  if (!isValidUrl(url)) { showToast('Enter a valid http(s) URL.', 'error'); return false; }
+  if (_hasUrl(url))     { showToast('Another entry already uses this URL.', 'error'); return false; }
+  if (!isSameSignedResource(v.url, url) &&
+      !confirm('This link points to a different file. Use it anyway? Thumbnails and metadata will be re-read.')) {
+    return false;
+  }
+
+  _setUrl(v, url);
+  _save();
+  render();
+  _renderLinkReport();
+  showToast('Link refreshed: ' + v.title, 'success');
+  return true;
+}
+
+// Card chip: time left on a signed link, or "Link expired"; click to refresh
+function _expiryChip(v) {
+  const exp = signedUrlExpiry(v.url);
+  if (!exp) return '';
+  const left  = exp.expiresAt - Date.now();
+  const state = left <= 0 ? ' expired' : left < EXPIRY_SOON_MS ? ' soon' : '';
+  const when  = new Date(exp.expiresAt).toLocaleString();
+  const title = `${exp.scheme} signed link — ${left <= 0 ? 'expired' : 'expires'} ${when}. Click to paste a refreshed URL.`;
+  return `<span class="card-meta-chip card-expiry${state}" data-id="${v.id}" title="${escHtml(title)}"
+                onclick="event.stopPropagation(); window.__xLib.refresh(${v.id})">${left <= 0 ? 'Link expired' : '⏱ ' + _fmtLeft(left)}</span>`;
+}
+
+function _tickExpiry() {
+  videoList.querySelectorAll('.card-expiry').forEach(el => {
+    const v = videos.find(v => v.id === +el.dataset.id);
+    if (v) el.outerHTML = _expiryChip(v);
+  });
+}
+
+function _fmtLeft(ms) {
+  const m = Math.floor(ms / 60000);
+  if (m < 1)  return '<1m';
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  if (h < 24) return `${h}h ${m % 60}m`;
+  return `${Math.floor(h / 24)}d ${h % 24}h`;
+}
+
+function removeBroken() {
+  const broken = _brokenVideos();
+  if (!broken.length) return;
+  if (!confirm(`Remove ${broken.length} broken entr${broken.length === 1 ? 'y' : 'ies'} from the library?`)) return;
+  broken.forEach(v => _removeEntry(v.id));
+  _save();
+  render();
+  _renderLinkReport();
+  showToast(`Removed ${broken.length} broken entr${broken.length === 1 ? 'y' : 'ies'}.`);
+}
+
+// Broken entries with per-entry Replace / Remove; hidden once none are left
+function _renderLinkReport(open = false) {
+  const broken = _brokenVideos();
+  if (open) linkReport.classList.add('active');
+  if (!broken.length) { linkReport.classList.remove('active'); return; }
+
+  document.getElementById('linkReportSummary').textContent =
+    `${broken.length} broken link${broken.length !== 1 ? 's' : ''}`;
+  linkReportList.innerHTML = broken.map(v => `
+    <li class="link-report-item">
+      <span class="card-badge card-badge-link${_linkClass(v.linkCheck.status)}">${LINK_STATUS[v.linkCheck.status] || 'Unknown'}</span>
+      <span class="link-report-title" title="${escHtml(v.url)}">${escHtml(v.title)}</span>
+      <span class="link-report-detail">${escHtml(v.linkCheck.detail || '')}</span>
+      <button class="btn-tool" onclick="window.__xLib.replaceUrl(${v.id})">Replace URL</button>
+      <button class="btn-tool" onclick="window.__xLib.del(${v.id})">Remove</button>
+    </li>`).join('');
+}
+
+// Swap one card's link badge in place while a check is running
+function _updateLinkBadge(v) {
+  const card = videoList.querySelector(`.video-card[data-id="${v.id}"]`);
+  const old  = card?.querySelector('.card-badge-link');
+  const html = _linkBadge(v);
+  if (old) old.outerHTML = html;
+  else card?.querySelector('.card-meta .card-badge')?.insertAdjacentHTML('afterend', html);
+}
+
+// ─── Offline copies ────────────────────────────────────────────────────────
+// Card button: save → pause → resume; a finished copy is removed on confirm
+function toggleOffline(id) {
+  const v = videos.find(v => v.id === id);
+  if (!v) return;
+  if (v.local) { showToast('Local files are already on this device.'); return; }
+  const info = offlineInfo(v.url);
+  if (info?.state === 'downloading') { pauseOffline(v.url); return; }
+  if (info?.state === 'done') { removeOfflineCopy(v.url); return; }
+  if (!info) showToast('Saving offline: ' + v.title);
+  saveOffline(v.url, { title: v.title, pickRendition: variants => _pickRendition(v, variants) });
+}
+
+// HLS masters: ask which rendition to keep → index, or null to cancel
+function _pickRendition(v, variants) {
+  const list   = variants.map((r, i) => `${i + 1}. ${r.label}`).join('\n');
+  const answer = prompt(`Save which quality of "${v.title}"?\n\n${list}`, '1');
+  if (answer === null) return null;
+  const i = parseInt(answer, 10) - 1;
+  if (variants[i]) return i;
+  showToast('Pick one of the listed numbers.', 'error');
+  return null;
+}
+
+function removeOfflineCopy(url) {
+  const info = offlineInfo(url);
+  if (!info) return;
+  if (!confirm(`Remove the offline copy of "${info.title}" (${fmtSize(info.bytes)})?`)) return;
+  deleteOffline(url);
+  showToast('Offline copy removed.');
+}
+
+function clearOfflineCopies() {
+  const n = listOffline().length;
+  if (!n) return;
+  if (!confirm(`Remove all ${n} offline cop${n === 1 ? 'y' : 'ies'}?`)) return;
+  clearOffline();
+  showToast('Offline copies removed.');
+}
+
+// "Offline", "Saving 42%", "Paused 42%" or "Save failed"
+function _offlineBadge(url) {
+  const o = offlineInfo(url);
+  if (!o) return '';
+  const pct  = o.progress != null ? ` ${Math.floor(o.progress * 100)}%` : ` ${fmtSize(o.bytes)}`;
+  const text = { done: 'Offline', downloading: 'Saving' + pct, paused: 'Paused' + pct, error: 'Save failed' }[o.state];
+  const tip  = o.state === 'error' ? o.error
+    : [o.label, o.state === 'done' ? fmtSize(o.bytes) : null].filter(Boolean).join(' · ') || 'Offline copy';
+  return `<span class="card-badge card-badge-offline ${o.state}" title="${escHtml(tip)}">${text}</span>`;
+}
+
+function _offlineBtn(v) {
+  const state = offlineInfo(v.url)?.state;
+  const title = {
+    done: 'Remove offline copy', downloading: 'Pause download', paused: 'Resume download', error: 'Retry download',
+  }[state] || 'Save offline';
+  const icon = state === 'downloading'
+    ? '<rect x="6" y="5" width="4" height="14"/><rect x="14" y="5" width="4" height="14"/>'
+    : '<path d="M12 3v12"/><polyline points="7 10 12 15 17 10"/><line x1="5" y1="20" x2="19" y2="20"/>';
+  return `<button class="card-btn card-btn-offline${state ? ' ' + state : ''}" onclick="window.__xLib.offline(${v.id})" title="${title}">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round">${icon}</svg>
+          </button>`;
+}
+
+// Progress and state changes: swap the card's badge and button in place
+function _onOfflineChange(url) {
+  _renderOfflinePanel();
+  const v = url && videos.find(v => v.url === url);
+  if (!v) { if (!url) render(); return; }
+  const card = videoList.querySelector(`.video-card[data-id="${v.id}"]`);
+  if (!card) return;
+  const badge = card.querySelector('.card-badge-offline');
+  const html  = _offlineBadge(url);
+  if (badge) badge.outerHTML = html;
+  else card.querySelector('.card-meta .card-meta-chip')?.insertAdjacentHTML('beforebegin', html);
+  card.querySelector('.card-btn-offline').outerHTML = _offlineBtn(v);
+}
+
+// Copies with their state and size, plus how much storage is left
+async function _renderOfflinePanel() {
+  if (!offlinePanel.classList.contains('active')) return;
+  const items = listOffline();
+  const est   = await storageEstimate();
+  const free  = est.quota != null ? ` · ${fmtSize(Math.max(0, est.quota - est.usage))} free of ${fmtSize(est.quota)}` : '';
+  document.getElementById('offlineSummary').textContent =
+    `${items.length} offline cop${items.length === 1 ? 'y' : 'ies'} · ${fmtSize(est.offline)}${free}`;
+  document.getElementById('clearOfflineBtn').disabled = !items.length;
+
+  offlineList.innerHTML = items.map(o => {
+    const v = videos.find(v => v.url === o.url);
+    const detail = [
+      o.state === 'done' ? null : o.state === 'error' ? o.error : `${o.state === 'paused' ? 'Paused' : 'Saving'} — ${fmtSize(o.bytes)}${o.total ? ' of ~' + fmtSize(o.total) : ''}`,
+      o.label,
+      o.state === 'done' ? fmtSize(o.bytes) : null,
+    ].filter(Boolean).join(' · ');
+    return `
+    <li class="link-report-item offline-item">
+      ${_offlineBadge(o.url)}
+      <span class="link-report-title" title="${escHtml(o.url)}">${escHtml(v?.title || o.title)}</span>
+      <span class="link-report-detail">${escHtml(detail)}</span>
+      ${v && o.state !== 'done' ? `<button class="btn-tool" onclick="window.__xLib.offline(${v.id})">${o.state === 'downloading' ? 'Pause' : 'Resume'}</button>` : '<span></span>'}
+      <button class="btn-tool" data-url="${escHtml(o.url)}" onclick="window.__xLib.dropOffline(this.dataset.url)">Remove</button>
+    </li>`;
+  }).join('') || '<li class="offline-empty">No offline copies yet — use the download button on a card.</li>';
 }
 
 // ─── Play video ────────────────────────────────────────────────────────────
-function playVideo(id) {
+// opts.startAt overrides the saved resume point (deep links)
+function playVideo(id, opts = {}) {
   const v = videos.find(v => v.id === id);
   if (!v) return;
+
+  // Expired signature: offer a refresh first (Cancel plays the old link anyway)
+  const exp = signedUrlExpiry(v.url);
+  if (exp && exp.expiresAt <= Date.now() &&
+      confirm(`This ${exp.scheme} link expired ${new Date(exp.expiresAt).toLocaleString()}.\nPaste a refreshed URL now? (Cancel tries the old link.)`) &&
+      !refreshLink(id)) {
+    return;
+  }
+
   activeId = id;
-  loadVideo(v.url, v.title);
+  queueSelect(id);
+  loadVideo(v.url, v.title, {
+    startAt:      opts.startAt ?? _resumePoint(v),
+    subtitles:    v.subtitles,
+    previewTrack: v.previewTrack,
+    chapters:     v.chapterTrack,
+    bookmarks:    v.bookmarks,
+    lowLatency:   v.lowLatency,
+  });
   render(); // update active state on cards
 }
 
+// ─── Deep links (#play=<url>&t=12m40s&title=…) ────────────────────────────
+// The entry is added when the URL is not in the library yet. The link is
+// removed from the address bar so a reload does not jump back to it.
+function _openDeepLink() {
+  const link = readDeepLink();
+  if (!link) return;
+  history.replaceState(null, '', location.pathname);
+
+  let v = videos.find(v => v.url === link.url);
+  if (!v) {
+    v = _createEntry(link.url, link.title);
+    videos.unshift(v);
+    _save();
+    render();
+    _loadMeta(v.id, v.url);
+    showToast('Added from link: ' + v.title, 'success');
+  }
+  playVideo(v.id, link.t ? { startAt: link.t } : {});
+}
+
+// Web Share Target (manifest.webmanifest): a link shared from another app
+// opens ?title=…&text=…&url=…. Many apps put the link in `text`, so the
+// first http(s) URL found in either is added.
+function _addSharedLink() {
+  const params = new URLSearchParams(location.search);
+  if (!params.has('url') && !params.has('text')) return;
+  history.replaceState(null, '', location.pathname + location.hash);
+
+  const words = [params.get('url'), ...(params.get('text') || '').split(/\s+/)];
+  const url   = words.find(w => w && isValidUrl(w));
+  if (!url) { showToast('The shared item has no video link.', 'error'); return; }
+  _addUrl(url, params.get('title'));
+}
+
+// Subtitle attachments added/removed/retimed in the player's CC menu
+function _onSubtitlesChange(list) {
+  const v = videos.find(v => v.id === activeId);
+  if (!v) return;
+  v.subtitles = list;
+  _save();
+}
+
+// Playback started or failed for good (after the player's retries)
+function _onPlaybackHealth({ ok, error }) {
+  const v = videos.find(v => v.id === activeId);
+  if (!v) return;
+  v.health = ok
+    ? { ...v.health, lastOkAt: Date.now() }
+    : { ...v.health, lastError: error, lastErrorAt: Date.now() };
+  _save();
+  render();
+}
+
+// Bookmarks added/renamed/removed in the player's chapter panel
+function _onBookmarksChange(list) {
+  const v = videos.find(v => v.id === activeId);
+  if (!v) return;
+  if (list.length) v.bookmarks = list;
+  else delete v.bookmarks;
+  _save();
+}
+
+// ─── Watch progress ────────────────────────────────────────────────────────
+function _resumePoint(v) {
+  const p = v.progress;
+  if (!p || v.watched || p.time < RESUME_MIN) return 0;
+  // Too close to the end to be worth resuming
+  if (p.duration && p.time > p.duration * WATCHED_RATIO) return 0;
+  return p.time;
+}
+
+function _onPlayerTime(time, duration) {
+  const v = videos.find(v => v.id === activeId);
+  if (!v || !isFinite(duration)) return;
+
+  v.progress = { time, duration, updatedAt: Date.now() };
+  if (!v.watched && time >= duration * WATCHED_RATIO) {
+    v.watched = true;
+    _save();
+    _updateThumb(v.id);
+  }
+
+  // Streams have no probed duration; learn it from playback instead
+  const meta = metaCache[v.id] || (metaCache[v.id] = {});
+  if (!meta.duration) {
+    meta.duration = duration;
+    _updateCard(v.id);
+  }
+  _updateProgress(v);
+  _captureStreamPoster(v, time);
+
+  if (Date.now() - lastProgressSave > SAVE_EVERY_MS) _save();
+}
+
+function _onPlayerEnded() {
+  const v = videos.find(v => v.id === activeId);
+  if (!v) return;
+  v.watched = true;
+  if (v.progress) v.progress.time = v.progress.duration;
+  _save();
+  _updateThumb(v.id);
+  onQueueEnded();
+}
+
+// Grab a poster for HLS/DASH entries from the first segment of playback
+function _captureStreamPoster(v, time) {
+  if (!_isStream(v.url) || streamThumbTried.has(v.id)) return;
+  if (time < STREAM_THUMB_WINDOW[0] || time > STREAM_THUMB_WINDOW[1]) return;
+  streamThumbTried.add(v.id);
+  if (getThumb(v.id)) return;
+  savePoster(v.id, captureFrame(), { persist: !v.local })
+    .then(saved => { if (saved) _updateThumb(v.id); })
+    .catch(() => {});
+}
+
+// Progress strip only; runs on every player time update, so it leaves the
+// thumbnail and hover preview in place
+function _updateProgress(v) {
+  const bar = videoList.querySelector(`[data-id="${v.id}"] .card-progress span`);
+  if (bar) bar.style.width = `${_progressPct(v).toFixed(1)}%`;
+  else _updateThumb(v.id);
+}
+
+// Thumbnail, progress strip and watched badge for one card, without a full
+// re-render
+function _updateThumb(id) {
+  const card = videoList.querySelector(`[data-id="${id}"]`);
+  const v    = videos.find(v => v.id === id);
+  if (!card || !v) return;
+  card.querySelector('.card-thumb').innerHTML = _thumbHtml(v);
+}
+
 // ─── Clear all ─────────────────────────────────────────────────────────────
 function clearAll() {
   if (!videos.length) return;
   if (!confirm('Remove all videos from the library?')) return;
+  videos.forEach(_revokeLocal);
   videos = [];
   unknownCount = 0;
+  clearThumbs();
+  clearOffline();
   activeId = null;
-  document.getElementById('playerWrap').classList.remove('visible');
-  document.getElementById('videoPlayer').src = '';
+  closePlayer();
   _save();
+  forget(null);
   render();
+  _renderLinkReport();
   showToast('Library cleared.');
 }
 
 // ─── Render the compact library list ──────────────────────────────────────
 function render() {
-  const n = videos.length;
-  countBadge.textContent = `${n} video${n !== 1 ? 's' : ''}`;
+  const n     = videos.length;
+  const shown = _visibleVideos();
+  countBadge.textContent = shown.length === n
+    ? `${n} video${n !== 1 ? 's' : ''}`
+    : `${shown.length} of ${n} video${n !== 1 ? 's' : ''}`;
   clearAllBtn.style.display = n > 0 ? '' : 'none';
 
+  // Expose library actions to inline onclick handlers
+  window.__xLib = {
+    play: playVideo, del: deleteVideo, queue: enqueue,
+    rename: renameInline, details: showDetails,
+    format: toggleFormat, tag: selectTag, clearFilters, replaceUrl, refresh: refreshLink,
+    offline: toggleOffline, dropOffline: removeOfflineCopy,
+  };
+  _renderFilters();
+
   if (!n) {
     videoList.innerHTML = `
       <div class="empty-state">
@@ -119,17 +1082,30 @@ function render() {
           </svg>
         </div>
         <h3>Your library is empty</h3>
-        <p>Paste a direct video URL above to get started.</p>
+        <p>Paste video URLs above, or drop links and video files anywhere on the page.</p>
       </div>`;
     return;
   }
 
-  videoList.innerHTML = videos.map((v, idx) => {
+  if (!shown.length) {
+    videoList.innerHTML = `
+      <div class="empty-state">
+        <h3>No videos match</h3>
+        <p>Try a different search or <button class="btn-link" onclick="window.__xLib.clearFilters()">clear all filters</button>.</p>
+      </div>`;
+    renderQueue();
+    return;
+  }
+
+  videoList.innerHTML = shown.map((v, idx) => {
     const meta     = metaCache[v.id] || {};
-    const duration = meta.duration ? _fmtDur(meta.duration) : '–';
-    const size     = meta.size     ? _fmtSize(meta.size)    : '';
+    const duration = meta.duration ? fmtTime(meta.duration) : '–';
+    const size     = meta.size     ? fmtSize(meta.size)    : '';
     const isActive = v.id === activeId;
-    const format   = _guessFormat(v.url);
+    const format   = _formatOf(v);
+    const tags     = (v.tags || []).map(t => `
+            <span class="card-tag" data-tag="${escHtml(t)}"
+                  onclick="event.stopPropagation(); window.__xLib.tag(this.dataset.tag)">#${escHtml(t)}</span>`).join('');
 
     const sizeChip = size
       ? `<span class="card-meta-chip">${size}</span>`
@@ -141,23 +1117,26 @@ function render() {
            style="animation-delay:${Math.min(idx * 0.04, 0.3)}s"
            onclick="window.__xLib.play(${v.id})">
 
-        <div class="card-thumb">
-          <div class="thumb-play-ring">
-            <svg width="10" height="12" viewBox="0 0 12 14">
-              <path d="M1 1l10 6L1 13V1z"/>
-            </svg>
-          </div>
-        </div>
+        <div class="card-thumb">${_thumbHtml(v)}</div>
 
         <div class="card-info">
-          <div class="card-title" title="${escHtml(v.title)}">${escHtml(v.title)}</div>
+          <div class="card-title-row">
+            <div class="card-title" title="${escHtml(v.title)}">${escHtml(v.title)}</div>
+            <button class="card-rename" onclick="event.stopPropagation(); window.__xLib.rename(${v.id})" title="Rename">✎</button>
+          </div>
           <div class="card-meta">
             <span class="card-badge">${escHtml(format)}</span>
+            ${v.local ? '<span class="card-badge card-badge-local" title="Local file — available until the page is closed">Local</span>' : ''}
+            ${_linkBadge(v)}
+            ${_healthBadge(v)}
+            ${_offlineBadge(v.url)}
             <span class="card-meta-chip">
               <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="opacity:.5"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>
               ${duration}
             </span>
             ${sizeChip}
+            ${_expiryChip(v)}
+            ${tags}
           </div>
         </div>
 
@@ -165,6 +1144,13 @@ function render() {
           <button class="card-btn card-btn-play" onclick="window.__xLib.play(${v.id})" title="Play">
             <svg width="12" height="14" viewBox="0 0 12 14" fill="currentColor"><path d="M1 1l10 6L1 13V1z"/></svg>
           </button>
+          <button class="card-btn card-btn-queue" onclick="window.__xLib.queue(${v.id})" title="Add to queue">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+          </button>
+          <button class="card-btn card-btn-info" onclick="window.__xLib.details(${v.id})" title="Details, tags and thumbnail">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="11"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>
+          </button>
+          ${_offlineBtn(v)}
           <button class="card-btn card-btn-del" onclick="window.__xLib.del(${v.id})" title="Remove">
             <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
           </button>
@@ -172,8 +1158,7 @@ function render() {
       </div>`;
   }).join('');
 
-  // Expose library actions to inline onclick handlers
-  window.__xLib = { play: playVideo, del: deleteVideo };
+  renderQueue();
 
   // Load metadata for any card that hasn't been fetched yet
   videos.forEach(v => {
@@ -181,15 +1166,69 @@ function render() {
   });
 }
 
+// Result of the last link check (see checkAllLinks)
+function _linkBadge(v) {
+  const c = v.linkCheck;
+  if (!c) return '';
+  const title = `Link check: ${c.detail} (${new Date(c.checkedAt).toLocaleString()})`;
+  return `<span class="card-badge card-badge-link${_linkClass(c.status)}" title="${escHtml(title)}">${c.status === 'ok' ? 'Link OK' : LINK_STATUS[c.status] || 'Unknown'}</span>`;
+}
+
+// Status as a class name — only known statuses: linkCheck comes back from
+// imported backups and must not reach the markup unchecked
+function _linkClass(status) {
+  return Object.hasOwn(LINK_STATUS, status) ? ' ' + escHtml(status) : '';
+}
+
+// "OK" after the last play succeeded, "Error" when the latest attempt failed;
+// the tooltip has both timestamps and the error message.
+function _healthBadge(v) {
+  const h = v.health;
+  if (!h) return '';
+  const failing = h.lastErrorAt > (h.lastOkAt || 0);
+  const lines = [];
+  if (h.lastOkAt)    lines.push('Last played OK: ' + new Date(h.lastOkAt).toLocaleString());
+  if (h.lastErrorAt) lines.push(`Last error: ${h.lastError} (${new Date(h.lastErrorAt).toLocaleString()})`);
+  return `<span class="card-badge card-badge-health ${failing ? 'err' : 'ok'}" title="${escHtml(lines.join('\n'))}">${failing ? 'Error' : 'OK'}</span>`;
+}
+
+// Thumbnail (custom, else the generated poster, else the play ring), hover
+// sprite, watched badge and progress strip inside .card-thumb
+function _thumbHtml(v) {
+  const pct  = _progressPct(v);
+  const auto = getThumb(v.id);
+  const img  = v.thumb || auto?.poster;
+
+  return `
+          ${img
+            ? `<img src="${escHtml(img)}" alt="" loading="lazy" onerror="this.remove()">`
+            : `<div class="thumb-play-ring">
+            <svg width="10" height="12" viewBox="0 0 12 14">
+              <path d="M1 1l10 6L1 13V1z"/>
+            </svg>
+          </div>`}
+          ${auto?.sprite ? `<div class="thumb-preview" data-frames="${auto.frames}"
+               style="background-image:url('${auto.sprite}');background-size:${auto.frames * 100}% 100%"></div>` : ''}
+          ${v.watched ? '<span class="card-watched">Watched</span>' : ''}
+          ${pct > 0 ? `<div class="card-progress"><span style="width:${pct.toFixed(1)}%"></span></div>` : ''}`;
+}
+
+function _progressPct(v) {
+  const p = v.progress;
+  if (v.watched) return 100;
+  return p && p.duration ? Math.min(100, p.time / p.duration * 100) : 0;
+}
+
 // ─── Asynchronously fetch duration + file size ────────────────────────────
 function _loadMeta(id, url) {
   metaCache[id] = metaCache[id] || {};
   if (metaCache[id].hasLoaded) return;
   metaCache[id].hasLoaded = true;
 
-  // 1. File size via HEAD request (works for direct files, not for HLS/DASH)
-  const ext = _getExt(url);
-  if (!['m3u8','mpd'].includes(ext)) {
+  // 1. File size via HEAD request (works for direct files, not for HLS/DASH;
+  //    local files already know their size)
+  const ext = fileExt(url);
+  if (!['m3u8','mpd'].includes(ext) && !url.startsWith('blob:')) {
     fetch(url, { method: 'HEAD' })
       .then(res => {
         const cl = res.headers.get('content-length');
@@ -201,7 +1240,13 @@ function _loadMeta(id, url) {
       .catch(() => { /* HEAD requests may fail due to CORS — skip */ });
   }
 
-  // 2. Duration via hidden video element with src preload=metadata
+  // 2. Poster + hover sprite: cached in IndexedDB, generated for direct
+  //    files; streams wait for a player frame (_captureStreamPoster)
+  loadThumbs(id, url, { generate: !_isStream(url), persist: !url.startsWith('blob:') })
+    .then(found => { if (found) _updateThumb(id); })
+    .catch(() => {});
+
+  // 3. Duration via hidden video element with src preload=metadata
   // Only for direct video files (not HLS/DASH to avoid heavy loading)
   if (!['m3u8','mpd'].includes(ext)) {
     const probe = document.createElement('video');
@@ -245,22 +1290,48 @@ function _updateCard(id) {
       <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="opacity:.5">
         <circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/>
       </svg>
-      ${_fmtDur(meta.duration)}`;
+      ${fmtTime(meta.duration)}`;
   }
 
   // Append size chip if not already present
   if (meta.size && chips.length < 2) {
     const sizeChip = document.createElement('span');
     sizeChip.className = 'card-meta-chip';
-    sizeChip.textContent = _fmtSize(meta.size);
-    metaEl.appendChild(sizeChip);
+    sizeChip.textContent = fmtSize(meta.size);
+    metaEl.insertBefore(sizeChip, metaEl.querySelector('.card-tag'));
   }
 }
 
 // ─── Persistence ──────────────────────────────────────────────────────────
+// Large fields (custom thumbnails, subtitle file text) go to IndexedDB via
+// attachments.js; if that fails the entries are stored whole instead.
 function _save() {
-  localStorage.setItem('xstream_videos',  JSON.stringify(videos));
-  localStorage.setItem('xstream_unk',     String(unknownCount));
+  lastProgressSave = Date.now();
+  const saved = _persistent();
+  _store(saved);
+  saveAttachments(saved).then(ok => { if (!ok) _store(_persistent()); });
+}
+
+function _store(saved) {
+  try {
+    localStorage.setItem('xstream_videos',  JSON.stringify(saved.map(slimEntry)));
+    localStorage.setItem('xstream_unk',     String(unknownCount));
+    saveFailed = false;
+  } catch (_) {
+    // QuotaExceededError: keep working from memory, but say so once
+    if (!saveFailed) showToast('Library changes are not being saved — browser storage is full. Remove some videos to free space.', 'error');
+    saveFailed = true;
+  }
+}
+
+function _saveView() {
+  const { sort, formats, tag } = view;
+  localStorage.setItem('xstream_view', JSON.stringify({ sort, formats, tag }));
+}
+
+// Local files are never written out
+function _persistent() {
+  return videos.filter(v => !v.local);
 }
 
 // ─── Title extraction (preserved from original) ───────────────────────────
@@ -290,33 +1361,12 @@ function _clean(raw) {
 }
 
 // ─── Utility ──────────────────────────────────────────────────────────────
-function _fmtDur(sec) {
-  if (!isFinite(sec)) return '–';
-  const h = Math.floor(sec / 3600);
-  const m = Math.floor((sec % 3600) / 60);
-  const s = Math.floor(sec % 60);
-  if (h > 0) return `${h}:${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
-  return `${m}:${String(s).padStart(2,'0')}`;
-}
-
-function _fmtSize(bytes) {
-  if (bytes >= 1e9) return (bytes / 1e9).toFixed(2) + ' GB';
-  if (bytes >= 1e6) return (bytes / 1e6).toFixed(1) + ' MB';
-  if (bytes >= 1e3) return (bytes / 1e3).toFixed(0) + ' KB';
-  return bytes + ' B';
-}
-
-function _getExt(url) {
-  try {
-    const path = new URL(url).pathname;
-    return path.split('.').pop().toLowerCase().split('?')[0];
-  } catch (_) {
-    return url.split('.').pop().toLowerCase().split('?')[0];
-  }
+function _isStream(url) {
+  return ['m3u8','mpd'].includes(fileExt(url));
 }
 
 function _guessFormat(url) {
-  const ext = _getExt(url);
+  const ext = fileExt(url);
   const map  = {
     'm3u8': 'HLS', 'mpd': 'DASH',
     'mp4': 'MP4',  'mkv': 'MKV',
@@ -327,12 +1377,6 @@ function _guessFormat(url) {
   return map[ext] || ext.toUpperCase() || 'VIDEO';
 }
 
-function escHtml(s) {
-  return String(s)
-    .replace(/&/g,'&amp;').replace(/</g,'&lt;')
-    .replace(/>/g,'&gt;').replace(/"/g,'&quot;');
-}
-
 // ─── Toast ────────────────────────────────────────────────────────────────
 export function showToast(msg, type = '') {
   const t = document.getElementById('toast');
@@ -0,0 +1,134 @@
+/**
+ * linkcheck.js — X Stream & Play
+ * Dead-link checker: probes library URLs without playing them. Direct files
+ * get a HEAD request (a one-byte ranged GET for servers that refuse HEAD);
+ * HLS and DASH manifests are fetched and sniffed. Each result is one of
+ * 'ok', 'expired', 'cors' or 'unreachable'. No DOM or storage access —
+ * library.js keeps the results on the entries and renders them.
+ */
+
+import { isSignedUrl, signedUrlExpiry } from './signedurl.js';
+
+export const LINK_STATUS = {
+  ok:          'OK',
+  expired:     'Expired',
+  cors:        'CORS-blocked',
+  unreachable: 'Unreachable',
+};
+
+const CONCURRENCY = 4;
+const TIMEOUT_MS  = 15000;
+
+// ─── Batch ────────────────────────────────────────────────────────────────
+// items: [{ id, url }]. At most `concurrency` probes run at once;
+// onResult(id, result) fires as each finishes. Resolves when all are done
+// or `signal` aborts.
+export async function checkLinks(items, { onResult, signal, concurrency = CONCURRENCY } = {}) {
+  const pending = [...items];
+  const worker = async () => {
+    while (pending.length && !signal?.aborted) {
+      const { id, url } = pending.shift();
+      const result = await checkLink(url, signal);
+      if (!signal?.aborted) onResult?.(id, result);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+}
+
+// ─── Single link ──────────────────────────────────────────────────────────
+// → { status, detail, checkedAt }
+// A signature that is already past its expiry is reported without a request.
+export async function checkLink(url, signal) {
+  const expiry = signedUrlExpiry(url);
+  if (expiry && expiry.expiresAt <= Date.now()) {
+    return _result('expired', `${expiry.scheme} signature expired ${new Date(expiry.expiresAt).toLocaleString()}`);
+  }
+
+  const kind = _kindOf(url);
+  try {
+    const res = kind === 'direct'
+      ? await _probeFile(url, signal)
+      : await _fetch(url, {}, signal);
+    if (!res.ok) {
+      res.body?.cancel();
+      return _result(_statusFor(res.status, url), `HTTP ${res.status}`);
+    }
+    if (kind === 'direct') {
+      res.body?.cancel();
+      return _result('ok', _sizeHint(res));
+    }
+
+    const text = await res.text();
+    if (kind === 'hls' && !text.trimStart().startsWith('#EXTM3U')) {
+      return _result('unreachable', 'Not an HLS playlist');
+    }
+    if (kind === 'dash' && !/<MPD[\s>]/.test(text)) {
+      return _result('unreachable', 'Not a DASH manifest');
+    }
+    return _result('ok', 'Manifest loads');
+  } catch (e) {
+    if (signal?.aborted) return _result('unreachable', 'Cancelled');
+    // fetch() hides the reason for a failure; an opaque no-cors request that
+    // succeeds means the server answered but withholds CORS headers.
+    if (await _answersWithoutCors(url, signal)) {
+      return _result('cors', 'Server answers but blocks cross-origin reads');
+    }
+    return _result('unreachable', e.name === 'AbortError' ? 'Timed out' : 'Network error');
+  }
+}
+
+// ─── Probes ───────────────────────────────────────────────────────────────
+async function _probeFile(url, signal) {
+  const res = await _fetch(url, { method: 'HEAD' }, signal);
+  if (res.status !== 405 && res.status !== 501) return res;
+  return _fetch(url, { headers: { Range: 'bytes=0-0' } }, signal);
+}
+
+async function _answersWithoutCors(url, signal) {
+  try {
+    await _fetch(url, { method: 'HEAD', mode: 'no-cors' }, signal);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// fetch() with a timeout that also follows the caller's abort signal
+async function _fetch(url, init, signal) {
+  const ctrl    = new AbortController();
+  const timer   = setTimeout(() => ctrl.abort(), TIMEOUT_MS);
+  const onAbort = () => ctrl.abort();
+  signal?.addEventListener('abort', onAbort);
+  try {
+    return await fetch(url, { ...init, signal: ctrl.signal });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────
+// Denied or gone: the usual answers for an expired signature or token.
+// Signed URLs answer 400 on some providers too.
+function _statusFor(code, url) {
+  if (code === 401 || code === 403 || code === 410) return 'expired';
+  if (code === 400 && isSignedUrl(url)) return 'expired';
+  return 'unreachable';
+}
+
+function _sizeHint(res) {
+  const range = res.headers.get('Content-Range');
+  const size  = range ? +range.split('/')[1] : +res.headers.get('Content-Length');
+  return size > 0 ? `${(size / 1048576).toFixed(1)} MB` : 'Reachable';
+}
+
+function _kindOf(url) {
+  const path = url.split('?')[0].toLowerCase();
+  if (path.endsWith('.m3u8') || url.includes('.m3u8')) return 'hls';
+  if (path.endsWith('.mpd')  || url.includes('.mpd'))  return 'dash';
+  return 'direct';
+}
+
+function _result(status, detail) {
+  return { status, detail, checkedAt: Date.now() };
+}
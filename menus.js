@@ -0,0 +1,87 @@
+/**
+ * menus.js — X Stream & Play
+ * Popup menus for the player control bar (captions, quality, audio).
+ * A menu is a plain <div class="ctrl-menu"> rebuilt from an item list each
+ * time it opens or its state changes.
+ */
+
+let bound = false;
+
+// Toggle `menu` from `button`; onOpen runs just before it is shown so the
+// caller can render fresh items.
+export function bindMenu(button, menu, onOpen) {
+  if (!bound) {
+    document.addEventListener('click', closeMenus);
+    document.addEventListener('keydown', e => { if (e.key === 'Escape') closeMenus(); });
+    bound = true;
+  }
+
+  button.addEventListener('click', e => {
+    e.stopPropagation();
+    const wasOpen = menu.classList.contains('active');
+    closeMenus();
+    if (wasOpen) return;
+    onOpen?.();
+    menu.classList.add('active');
+    button.classList.add('active');
+  });
+  menu.addEventListener('click', e => e.stopPropagation());
+}
+
+export function closeMenus() {
+  document.querySelectorAll('.ctrl-menu.active').forEach(m => m.classList.remove('active'));
+  document.querySelectorAll('.ctrl-menu-btn.active').forEach(b => b.classList.remove('active'));
+}
+
+// Items:
+//   { head: 'Title' }
+//   { divider: true }
+//   { label, hint, active, onClick, onRemove }
+//   { label, options: [{ label, active, onClick }] }   → segmented row
+export function renderMenu(menu, items) {
+  menu.innerHTML = '';
+  items.forEach(item => {
+    if (item.head) {
+      menu.appendChild(_el('div', 'ctrl-menu-head', item.head));
+      return;
+    }
+    if (item.divider) {
+      menu.appendChild(_el('div', 'ctrl-menu-divider'));
+      return;
+    }
+
+    if (item.options) {
+      const row = _el('div', 'ctrl-menu-row');
+      row.appendChild(_el('span', 'ctrl-menu-label', item.label));
+      const seg = _el('div', 'ctrl-menu-seg');
+      item.options.forEach(o => {
+        const b = _el('button', 'ctrl-menu-opt' + (o.active ? ' active' : ''), o.label);
+        b.addEventListener('click', o.onClick);
+        seg.appendChild(b);
+      });
+      row.appendChild(seg);
+      menu.appendChild(row);
+      return;
+    }
+
+    const btn = _el('button', 'ctrl-menu-item' + (item.active ? ' active' : ''));
+    btn.appendChild(_el('span', 'ctrl-menu-check', item.active ? '✓' : ''));
+    btn.appendChild(_el('span', 'ctrl-menu-label', item.label));
+    if (item.hint) btn.appendChild(_el('span', 'ctrl-menu-hint', item.hint));
+    btn.addEventListener('click', item.onClick);
+    if (item.onRemove) {
+      const x = _el('span', 'ctrl-menu-remove', '✕');
+      x.title = 'Remove';
+      x.addEventListener('click', e => { e.stopPropagation(); item.onRemove(); });
+      btn.appendChild(x);
+    }
+    menu.appendChild(btn);
+  });
+}
+
+function _el(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text != null) el.textContent = text;
+  return el;
+}
@@ -0,0 +1,551 @@
+/**
+ * offline.js — X Stream & Play
+ * Offline copies of library videos, stored as Blobs in IndexedDB. Direct
+ * files are streamed down and stored in CHUNK-sized parts; HLS streams are
+ * saved as every segment (plus init segments and AES-128 keys) of one chosen
+ * rendition and its default audio rendition, with the playlists kept as
+ * templates. Downloads can be paused and resumed: parts already stored are
+ * kept, files continue with a Range request. openOffline() turns a finished
+ * copy back into something the player can load — an object URL for files,
+ * playlists rewritten to object URLs for HLS.
+ * Copies are keyed by source URL; library.js keeps them in step with entries.
+ */
+
+import { sourceKind } from './player-core.js';
+import { fmtSize } from './format.js';
+
+const DB_NAME       = 'xstream_offline';
+const ITEMS         = 'items';   // url → record (see _newRecord)
+const PARTS         = 'parts';   // [record key, n] → Blob
+const CHUNK         = 8 * 1024 * 1024;
+const HLS_PARALLEL  = 3;         // Segment downloads in flight
+const PART_RETRIES  = 3;
+const NOTIFY_MS     = 250;       // Progress notification throttle
+const MPEGURL       = 'application/vnd.apple.mpegurl';
+
+// ── State ──────────────────────────────────────────────────────────────────
+const index      = new Map();    // url → record, mirrored from IndexedDB
+const active     = new Map();    // url → AbortController of a running download
+const lastNotify = new Map();    // url → time of the last progress notification
+let objectUrls   = [];           // Handed to the player by openOffline()
+let dbPromise    = null;
+let ready        = null;
+let deps         = { onChange: () => {}, notify: () => {} };
+
+// ─── Public API ────────────────────────────────────────────────────────────
+// deps.onChange(url): a copy changed (url null: several did)
+// deps.notify(msg, type): user-facing messages (finished, failed)
+export function initOffline(d = {}) {
+  deps = { ...deps, ...d };
+  return _ready();
+}
+
+// Synchronous lookup for render(); null when there is no copy (or the index
+// is still loading). progress is 0‥1, or null while the size is unknown.
+export function offlineInfo(url) {
+  const rec = index.get(url);
+  if (!rec) return null;
+  const bytes = rec.bytes + (rec.inflight || 0);
+  return {
+    state:    rec.state,
+    title:    rec.title,
+    kind:     rec.kind,
+    label:    rec.label,
+    error:    rec.error,
+    bytes,
+    total:    rec.total,
+    progress: rec.state === 'done' ? 1
+      : rec.kind === 'hls' ? (rec.parts ? rec.partsDone / rec.parts : null)
+      : rec.total ? Math.min(1, bytes / rec.total) : null,
+  };
+}
+
+// All copies, newest first: [{ url, …offlineInfo(url) }]
+export function listOffline() {
+  return [...index.values()]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(rec => ({ url: rec.url, ...offlineInfo(rec.url) }));
+}
+
+// → { usage, quota, offline } in bytes; usage / quota are null when the
+// browser doesn't report them.
+export async function storageEstimate() {
+  await _ready();
+  const est = await navigator.storage?.estimate?.().catch(() => null);
+  const offline = [...index.values()].reduce((sum, rec) => sum + rec.bytes, 0);
+  return { usage: est?.usage ?? null, quota: est?.quota ?? null, offline };
+}
+
+// Start (or resume) saving `url`. For HLS masters, pickRendition(variants)
+// returns the index of the rendition to save (variants are sorted best
+// first, each with a `label`), or null to cancel. Resolves once the download
+// finishes, pauses or fails — progress is reported through deps.onChange.
+export async function saveOffline(url, { title = '', pickRendition } = {}) {
+  await _ready();
+  if (active.has(url) || index.get(url)?.state === 'done') return;
+
+  const ctrl = new AbortController();
+  active.set(url, ctrl);
+  let rec = index.get(url);
+  try {
+    if (!rec) {
+      rec = await _prepare(url, title, pickRendition, ctrl.signal);
+      if (!rec) return;   // Rendition choice cancelled
+      await _checkQuota(rec);
+      index.set(url, rec);
+      navigator.storage?.persist?.().catch(() => {});   // Ask not to be evicted under storage pressure
+    }
+    _setState(rec, 'downloading');
+    if (rec.kind === 'hls') await _downloadHls(rec, ctrl.signal);
+    else await _downloadFile(rec, ctrl.signal);
+    rec.total = rec.bytes;
+    _setState(rec, 'done');
+    deps.notify(`Saved offline: ${rec.title}`, 'success');
+  } catch (err) {
+    if (!rec || index.get(url) !== rec) {
+      // Failed before anything was stored, or deleted while downloading
+      if (!ctrl.signal.aborted) deps.notify(`Can't save offline: ${_errorText(err)}`, 'error');
+    } else if (ctrl.signal.aborted) {
+      _setState(rec, 'paused');
+    } else {
+      _setState(rec, 'error', _errorText(err));
+      deps.notify(`Offline save failed: ${_errorText(err)}`, 'error');
+    }
+  } finally {
+    ctrl.abort();   // Stops segment workers still running after one failed
+    if (active.get(url) === ctrl) active.delete(url);
+  }
+}
+
+export function pauseOffline(url) {
+  active.get(url)?.abort();
+}
+
+export function isSaving(url) {
+  return active.has(url);
+}
+
+export async function deleteOffline(url) {
+  await _ready();
+  const rec = index.get(url);
+  if (!rec) return;
+  active.get(url)?.abort();
+  index.delete(url);
+  lastNotify.delete(url);
+  deps.onChange(url);
+  await _tx([ITEMS, PARTS], 'readwrite', tx => {
+    tx.objectStore(ITEMS).delete(url);
+    tx.objectStore(PARTS).delete(_partRange(rec.key));
+  }).catch(() => {});
+}
+
+export async function clearOffline() {
+  await _ready();
+  active.forEach(ctrl => ctrl.abort());
+  index.clear();
+  lastNotify.clear();
+  deps.onChange(null);
+  await _tx([ITEMS, PARTS], 'readwrite', tx => {
+    tx.objectStore(ITEMS).clear();
+    tx.objectStore(PARTS).clear();
+  }).catch(() => {});
+}
+
+// The entry now points at `newUrl` (e.g. a re-signed link to the same file):
+// the copy follows it. Parts are keyed by the record, not the URL.
+export async function moveOffline(oldUrl, newUrl) {
+  await _ready();
+  const rec = index.get(oldUrl);
+  if (!rec || oldUrl === newUrl) return;
+  const ctrl = active.get(oldUrl);
+  ctrl?.abort();
+  active.delete(oldUrl);
+  index.delete(oldUrl);
+  rec.url = newUrl;
+  index.set(newUrl, rec);
+  // A running download stops with the old link; it resumes from the new one
+  if (ctrl) _setState(rec, 'paused');
+  deps.onChange(null);
+  await _tx([ITEMS], 'readwrite', tx => {
+    tx.objectStore(ITEMS).delete(oldUrl);
+    tx.objectStore(ITEMS).put(rec, newUrl);
+  }).catch(() => {});
+}
+
+// Drop copies of URLs that are no longer in the library
+export async function pruneOffline(knownUrls) {
+  await _ready();
+  const known = new Set(knownUrls);
+  [...index.keys()].filter(url => !known.has(url)).forEach(deleteOffline);
+}
+
+// → { url, kind } to load instead of `url` when a finished copy exists, else
+// null. Object URLs from the previous call are released first.
+export async function openOffline(url) {
+  releaseOffline();
+  await _ready();
+  const rec = index.get(url);
+  if (rec?.state !== 'done') return null;
+
+  const blobs = await _parts(rec).catch(() => null);
+  if (!blobs?.length || blobs.includes(undefined)) return null;
+
+  if (rec.kind !== 'hls') {
+    return { url: _objectUrl(new Blob(blobs, { type: rec.mime })), kind: 'direct' };
+  }
+
+  const partUrls = blobs.map(_objectUrl);
+  const playlist = text => _objectUrl(new Blob(
+    [text.replace(/\{\{(\d+)\}\}/g, (_m, n) => partUrls[+n])], { type: MPEGURL }));
+  const [video, audio] = rec.hls.playlists.map(playlist);
+  if (!audio) return { url: video, kind: 'hls' };
+
+  // Separate audio rendition: a one-variant master ties the two together
+  const { variant: v, audio: a } = rec.hls;
+  const master = [
+    '#EXTM3U',
+    `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="${_quoted(a.name || 'Audio')}"` +
+      `${a.lang ? `,LANGUAGE="${_quoted(a.lang)}"` : ''},DEFAULT=YES,AUTOSELECT=YES,URI="${audio}"`,
+    `#EXT-X-STREAM-INF:BANDWIDTH=${v.bandwidth || 1}` +
+      `${v.resolution ? `,RESOLUTION=${v.resolution}` : ''}${v.codecs ? `,CODECS="${_quoted(v.codecs)}"` : ''},AUDIO="aud"`,
+    video,
+  ].join('\n');
+  return { url: playlist(master), kind: 'hls' };
+}
+
+// Remote NAME/LANGUAGE/CODECS values go inside quoted attributes of the synthesized
+// master, where a stray quote or line break would corrupt it
+function _quoted(s) {
+  return String(s).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+}
+
+// Revoke the object URLs of the copy handed out last (player closed)
+export function releaseOffline() {
+  objectUrls.forEach(u => URL.revokeObjectURL(u));
+  objectUrls = [];
+}
+
+// ─── Preparing a download ──────────────────────────────────────────────────
+function _newRecord(url, title, kind) {
+  return {
+    url,
+    key:       `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    title:     title || url,
+    kind,                  // 'file' | 'hls'
+    state:     'paused',   // 'downloading' | 'paused' | 'done' | 'error'
+    error:     null,
+    mime:      '',
+    label:     null,       // Saved rendition, e.g. "720p · 2.8 Mbps"
+    bytes:     0,          // Stored so far
+    total:     null,       // Expected bytes (estimated for HLS), null if unknown
+    parts:     0,          // HLS: resources to fetch; files: parts stored
+    partsDone: 0,
+    hls:       null,       // { playlists, variant, audio, resources }
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+}
+
+async function _prepare(url, title, pickRendition, signal) {
+  const kind = sourceKind(url);
+  if (url.startsWith('blob:')) throw new Error('local files are already on this device.');
+  if (kind === 'dash') throw new Error('DASH streams are not supported yet.');
+  if (kind !== 'hls') return _newRecord(url, title, 'file');
+
+  const rec = _newRecord(url, title, 'hls');
+  let text = await _fetchText(url, signal);
+  let mediaUrl = url, variant = null, audio = null;
+
+  if (text.includes('#EXT-X-STREAM-INF')) {
+    const { variants, audios } = _parseMaster(text, url);
+    if (!variants.length) throw new Error('the playlist lists no renditions.');
+    const i = variants.length > 1 ? await pickRendition?.(variants) : 0;
+    if (i == null || !variants[i]) return null;
+    variant  = variants[i];
+    const group = audios.filter(a => a.group === variant.audio);
+    audio    = group.find(a => a.isDefault) || group[0] || null;
+    mediaUrl = variant.uri;
+    text     = await _fetchText(mediaUrl, signal);
+  }
+
+  const resources = [];
+  const video     = _template(text, mediaUrl, resources);
+  const playlists = [video.text];
+  if (audio) playlists.push(_template(await _fetchText(audio.uri, signal), audio.uri, resources).text);
+
+  rec.hls = {
+    playlists,
+    variant:   variant && { bandwidth: variant.bandwidth, resolution: variant.resolution, codecs: variant.codecs },
+    audio:     audio && { name: audio.name, lang: audio.lang },
+    resources,
+  };
+  rec.mime  = MPEGURL;
+  rec.label = variant?.label || null;
+  rec.parts = resources.length;
+  rec.total = variant?.bandwidth ? Math.round(variant.bandwidth * video.duration / 8) : null;
+  return rec;
+}
+
+// Master playlist → { variants (best first), audios }
+function _parseMaster(text, base) {
+  const lines = text.split(/\r?\n/).map(l => l.trim());
+  const variants = [], audios = [];
+  lines.forEach((line, i) => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const a   = _attrs(line.slice(18));
+      const uri = lines.slice(i + 1).find(l => l && !l.startsWith('#'));
+      if (!uri) return;
+      const height    = +(a.RESOLUTION || '').split('x')[1] || 0;
+      const bandwidth = +a.BANDWIDTH || 0;
+      variants.push({
+        uri: new URL(uri, base).href,
+        bandwidth,
+        height,
+        resolution: a.RESOLUTION || '',
+        codecs:     a.CODECS || '',
+        audio:      a.AUDIO || null,
+        label:      [height ? `${height}p` : '', bandwidth ? `${(bandwidth / 1e6).toFixed(1)} Mbps` : ''].filter(Boolean).join(' · ') || 'Default',
+      });
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const a = _attrs(line.slice(13));
+      // Audio without a URI is muxed into the variant — nothing extra to fetch
+      if (a.TYPE !== 'AUDIO' || !a.URI) return;
+      audios.push({ group: a['GROUP-ID'], uri: new URL(a.URI, base).href, name: a.NAME || '', lang: a.LANGUAGE || '', isDefault: a.DEFAULT === 'YES' });
+    }
+  });
+  variants.sort((a, b) => b.bandwidth - a.bandwidth);
+  return { variants, audios };
+}
+
+// KEY=value,KEY="quoted, value" → { KEY: value }
+function _attrs(s) {
+  const out = {};
+  for (const [, k, v] of s.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) out[k] = v.replace(/^"|"$/g, '');
+  return out;
+}
+
+// Media playlist → { text, duration }. Every URI (segments, EXT-X-MAP, key)
+// becomes a {{n}} placeholder for resources[n]; repeated URIs (byte ranges)
+// share one.
+function _template(text, base, resources) {
+  if (!text.includes('#EXT-X-ENDLIST')) throw new Error('live streams cannot be saved.');
+  let duration = 0;
+  const add = uri => {
+    const abs = new URL(uri, base).href;
+    let n = resources.indexOf(abs);
+    if (n < 0) n = resources.push(abs) - 1;
+    return `{{${n}}}`;
+  };
+  const out = text.split(/\r?\n/).map(line => {
+    const l = line.trim();
+    if (!l) return line;
+    if (l.startsWith('#EXTINF:')) {
+      duration += parseFloat(l.slice(8)) || 0;
+      return line;
+    }
+    if (l.startsWith('#EXT-X-KEY:') || l.startsWith('#EXT-X-MAP:')) {
+      if (/METHOD=SAMPLE-AES/.test(l)) throw new Error('DRM-protected streams cannot be saved.');
+      return line.replace(/URI="([^"]+)"/, (_m, uri) => `URI="${add(uri)}"`);
+    }
+    return l.startsWith('#') ? line : add(l);
+  });
+  return { text: out.join('\n'), duration };
+}
+
+// Refuse up front when the estimated size clearly doesn't fit
+async function _checkQuota(rec) {
+  if (!rec.total) return;
+  const est = await navigator.storage?.estimate?.().catch(() => null);
+  if (!est?.quota) return;
+  const free = est.quota - (est.usage || 0);
+  if (rec.total > free) {
+    throw new Error(`needs about ${fmtSize(rec.total)}, only ${fmtSize(free)} of storage is free.`);
+  }
+}
+
+// ─── Downloading ───────────────────────────────────────────────────────────
+// One streamed GET, resumed with a Range request. A server that ignores the
+// Range answers 200 with the whole file; the bytes already stored are skipped.
+async function _downloadFile(rec, signal) {
+  const res = await fetch(rec.url, { signal, headers: rec.bytes ? { Range: `bytes=${rec.bytes}-` } : {} });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const partial = res.status === 206;
+  const length  = +res.headers.get('Content-Length');
+  if (length) rec.total = (partial ? rec.bytes : 0) + length;
+  if (!rec.mime) rec.mime = (res.headers.get('Content-Type') || '').split(';')[0] || 'video/mp4';
+
+  let skip = partial ? 0 : rec.bytes;
+  let buf  = [];
+  rec.inflight = 0;
+  const reader = res.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    let chunk = value;
+    if (skip) {
+      if (chunk.length <= skip) { skip -= chunk.length; continue; }
+      chunk = chunk.subarray(skip);
+      skip  = 0;
+    }
+    buf.push(chunk);
+    rec.inflight += chunk.length;
+    if (rec.inflight >= CHUNK) {
+      await _storePart(rec, rec.partsDone, new Blob(buf));
+      buf = [];
+    } else {
+      _progress(rec);
+    }
+  }
+  if (buf.length) await _storePart(rec, rec.partsDone, new Blob(buf));
+  rec.parts = rec.partsDone;
+}
+
+// Fetch every resource not stored yet, a few at a time
+async function _downloadHls(rec, signal) {
+  const stored = new Set((await _tx([PARTS], 'readonly', tx =>
+    tx.objectStore(PARTS).getAllKeys(_partRange(rec.key)))).map(k => k[1]));
+  const queue = rec.hls.resources.map((_u, n) => n).filter(n => !stored.has(n));
+  rec.partsDone = stored.size;   // Count what is actually stored, not what was reported
+
+  // The first failure empties the queue, so the other workers stop too
+  const worker = async () => {
+    while (queue.length && !signal.aborted) {
+      const n = queue.shift();
+      try {
+        await _storePart(rec, n, await _fetchPart(rec.hls.resources[n], signal));
+      } catch (err) {
+        queue.length = 0;
+        throw err;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: HLS_PARALLEL }, worker));
+}
+
+async function _fetchPart(url, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await fetch(url, { signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status} for a segment`);
+      return await res.blob();
+    } catch (err) {
+      if (signal.aborted || attempt >= PART_RETRIES) throw err;
+      await new Promise(r => setTimeout(r, 1000 * 2 ** attempt));
+    }
+  }
+}
+
+async function _fetchText(url, signal) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for the playlist`);
+  return res.text();
+}
+
+// The part and the updated record are written in one transaction, so a
+// resumed download never counts a part that wasn't stored.
+async function _storePart(rec, n, blob) {
+  rec.partsDone++;
+  rec.bytes    += blob.size;
+  rec.inflight  = 0;
+  rec.updatedAt = Date.now();
+  if (rec.kind === 'file') rec.parts = rec.partsDone;
+  try {
+    await _tx([ITEMS, PARTS], 'readwrite', tx => {
+      tx.objectStore(PARTS).put(blob, [rec.key, n]);
+      tx.objectStore(ITEMS).put(rec, rec.url);
+    });
+  } catch (err) {
+    rec.partsDone--;
+    rec.bytes -= blob.size;
+    if (rec.kind === 'file') rec.parts = rec.partsDone;
+    throw err;
+  }
+  _progress(rec);
+}
+
+function _setState(rec, state, error = null) {
+  rec.state     = state;
+  rec.error     = error;
+  rec.inflight  = 0;
+  rec.updatedAt = Date.now();
+  _tx([ITEMS], 'readwrite', tx => tx.objectStore(ITEMS).put(rec, rec.url)).catch(() => {});
+  lastNotify.delete(rec.url);
+  deps.onChange(rec.url);
+}
+
+function _progress(rec) {
+  const now = performance.now();
+  if (now - (lastNotify.get(rec.url) || 0) < NOTIFY_MS) return;
+  lastNotify.set(rec.url, now);
+  deps.onChange(rec.url);
+}
+
+function _errorText(err) {
+  if (err?.name === 'QuotaExceededError') return 'storage is full — free some space in the Offline panel.';
+  if (err instanceof TypeError) return 'network error, or the server does not allow downloads from this page (CORS).';
+  return err?.message || String(err);
+}
+
+// ─── Helpers ───────────────────────────────────────────────────────────────
+function _objectUrl(blob) {
+  const url = URL.createObjectURL(blob);
+  objectUrls.push(url);
+  return url;
+}
+
+// ─── IndexedDB ─────────────────────────────────────────────────────────────
+// Load the index once. Downloads cut off by closing the page come back paused.
+function _ready() {
+  if (!ready) {
+    ready = _tx([ITEMS], 'readonly', tx => tx.objectStore(ITEMS).getAll())
+      .then(list => list.forEach(rec => {
+        if (rec.state === 'downloading') rec.state = 'paused';
+        index.set(rec.url, rec);
+      }))
+      .catch(() => {});   // No IndexedDB (e.g. private mode): no offline copies
+  }
+  return ready;
+}
+
+function _db() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(ITEMS);
+        req.result.createObjectStore(PARTS);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+function _tx(stores, mode, fn) {
+  return _db().then(db => new Promise((resolve, reject) => {
+    const tx  = db.transaction(stores, mode);
+    const req = fn(tx);
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  }));
+}
+
+function _partRange(key) {
+  return IDBKeyRange.bound([key, 0], [key, Infinity]);
+}
+
+// Parts of a record in order; a missing part leaves a hole (undefined)
+function _parts(rec) {
+  const out = [];
+  return _tx([PARTS], 'readonly', tx => {
+    const req = tx.objectStore(PARTS).openCursor(_partRange(rec.key));
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return;
+      out[cur.key[1]] = cur.value;
+      cur.continue();
+    };
+  }).then(() => Array.from({ length: rec.parts }, (_u, n) => out[n]));
+}
@@ -0,0 +1,651 @@
+/**
+ * player-core.js — X Stream & Play
+ * Player: the playback engine behind the UI in player.js. Wraps one <video>
+ * and plays HLS (HLS.js, or the browser's own support), DASH (dash.js) and
+ * plain files. Live streams expose their seekable DVR window and live edge.
+ * Playback failures are retried with exponential backoff, HLS sources switch
+ * between HLS.js and the native player when one gives up, and stalls trigger
+ * a reconnect. No controls, panels or storage — each instance is independent,
+ * so a page can run several, and state changes are reported as events.
+ *
+ *   const player = new Player(containerEl, { autoplay: false });
+ *   const off = player.on('timeupdate', ({ currentTime }) => …);
+ *   player.load(url, { title, startAt: 90 });
+ *
+ * Events (listeners receive one detail object):
+ *   loadstart { source }          a new source was handed to load()
+ *   reload { startAt }            same source restarted (retry, engine switch)
+ *   engine { hls, dash }          engine attached, or { null, null } on teardown
+ *   manifest                      levels and audio tracks are known
+ *   levelswitch { index, height, bitrate }
+ *   fragment { url, bytes, ms }   media segment downloaded
+ *   audiotracks / audiotrackchange
+ *   live { live }                 source turned out to be (or stopped being) live
+ *   resume { time }               playback starts from a resume position
+ *   retry { reason, attempt, max, delay }
+ *   enginechange { native, reason }
+ *   error { message, fatal }      fatal: retries and fallbacks are exhausted
+ *   health { ok, error? }         ok once per source on first playback; not ok on failure
+ *   unload / destroy
+ *   play pause playing seeking ended progress volumechange ratechange
+ *   loadedmetadata loadeddata canplay   (forwarded from the <video>)
+ *   waiting { seeking }   timeupdate { currentTime, duration }
+ */
+
+import { createDashPlayer, isDashSupported } from './dash.js';
+import { fileExt } from './format.js';
+
+export const MAX_RETRIES     = 4;
+export const LIVE_EDGE_SLACK = 3;   // Within this many seconds of the live edge counts as "live"
+
+const RETRY_BASE_MS = 1000;   // Backoff: 1 s, 2 s, 4 s, 8 s
+const STALL_MS      = 10000;  // Waiting with an empty buffer this long → reconnect
+
+const HLS_DEFAULTS = {
+  enableWorker: true,
+  lowLatencyMode: false,
+  backBufferLength: 90,
+};
+
+// Video element events re-emitted as-is
+const FORWARDED = ['play', 'seeking', 'ended', 'progress', 'volumechange', 'ratechange', 'loadeddata', 'canplay'];
+
+// ─────────────────────────────────────────────────────────────────────────
+// opts.autoplay:  start playback as soon as a source is ready (default true)
+// opts.hlsConfig: HLS.js config (default: window.HLS_CONFIG from hls-config.js)
+export class Player {
+  constructor(container, opts = {}) {
+    this.container = container;
+    this.opts      = opts;
+    this._ownVideo = false;
+    this.video     = container.tagName === 'VIDEO' ? container : container.querySelector('video');
+    if (!this.video) {
+      this.video = document.createElement('video');
+      this.video.playsInline = true;
+      container.appendChild(this.video);
+      this._ownVideo = true;
+    }
+
+    // Read-only from the outside
+    this.hls            = null;   // Active HLS.js instance (if any)
+    this.dash           = null;   // Active DASH/MSE pipeline (if any)
+    this.source         = null;   // { url, title, kind: 'hls' | 'dash' | 'direct', offline }
+    this.live           = false;  // HLS level details, DASH type, or a native Infinity duration
+    this.lowLatency     = false;  // LL-HLS requested for the current source
+    this.lastFrag       = null;   // Last media segment loaded: { url, bytes, ms }
+    this.retries        = 0;      // Consecutive failed attempts
+    this.nativeHls      = false;  // Playing HLS through the browser instead of HLS.js
+    this.engineSwitched = false;  // HLS.js ⇄ native fallback already tried for this source
+
+    this._listeners    = new Map();
+    this._autoplay     = opts.autoplay ?? true;
+    this._src          = null;   // URL actually loaded: source.url, or its offline copy
+    this._sizeCapping  = false;  // HLS.js config asks to cap levels to the player size
+    this._pendingStart = 0;      // Resume position for the source being loaded
+    this._lastPosition = 0;      // Last position that played, to resume after a reload
+    this._reportedOk   = false;  // health { ok: true } already sent for this source
+    this._retryTimer   = null;
+    this._stallTimer   = null;
+
+    this._bindVideo();
+  }
+
+  // ─── Events ─────────────────────────────────────────────────────────────
+  // Returns a function that removes the listener again
+  on(type, fn) {
+    if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(fn);
+    return () => this.off(type, fn);
+  }
+
+  off(type, fn) {
+    this._listeners.get(type)?.delete(fn);
+  }
+
+  _emit(type, detail = {}) {
+    this._listeners.get(type)?.forEach(fn => fn(detail));
+  }
+
+  // ─── Loading ────────────────────────────────────────────────────────────
+  // opts.title, opts.startAt (seconds), opts.lowLatency (LL-HLS),
+  // opts.autoplay (overrides the constructor option for this source),
+  // opts.localCopy { url, kind }: play this instead (an offline copy) while
+  // `url` stays the source's identity
+  load(url, opts = {}) {
+    this._destroyEngines();
+    this._setLive(false);
+    this._pendingStart  = opts.startAt || 0;
+    this._lastPosition  = this._pendingStart;
+    this._autoplay      = opts.autoplay ?? this.opts.autoplay ?? true;
+    this._reportedOk    = false;
+    this.lowLatency     = !!opts.lowLatency;
+    this.lastFrag       = null;
+    this.retries        = 0;
+    this.nativeHls      = false;
+    this.engineSwitched = false;
+    this.source = {
+      url,
+      title:   opts.title || null,
+      kind:    opts.localCopy?.kind || sourceKind(url),
+      offline: !!opts.localCopy,
+    };
+    this._src   = opts.localCopy?.url || url;
+    this._emit('loadstart', { source: this.source });
+    this._startEngine();
+  }
+
+  // Stop and forget the current source; the player can load another one
+  unload() {
+    this._destroyEngines();
+    this._setLive(false);
+    this.source = null;
+    this._src   = null;
+    this._emit('unload');
+  }
+
+  destroy() {
+    this.unload();
+    Object.entries(this._handlers).forEach(([type, fn]) => this.video.removeEventListener(type, fn));
+    this.video.audioTracks?.removeEventListener('addtrack', this._onAudioChange);
+    this.video.audioTracks?.removeEventListener('change',   this._onAudioChange);
+    this._emit('destroy');
+    this._listeners.clear();
+    if (this._ownVideo) this.video.remove();
+  }
+
+  // Start over with a fresh retry budget from where playback stopped
+  retry() {
+    if (!this.source) return;
+    this.retries = 0;
+    this.engineSwitched = false;
+    this._reload(this._lastPosition);
+  }
+
+  _startEngine() {
+    const url  = this._src;
+    const kind = this.source.kind;
+    if (kind === 'hls') {
+      if (this.nativeHls) this._loadNative(url);
+      else this._loadHls(url);
+    } else if (kind === 'dash') {
+      this._loadDash(url);
+    } else {
+      // Plain MP4 / WebM / etc.
+      this._loadNative(url);
+    }
+  }
+
+  _play() {
+    if (this._autoplay) this.play();
+  }
+
+  _loadNative(url) {
+    this.video.src = url;
+    this.video.load();
+    this._play();
+  }
+
+  // Tear down and start the current source again from `startAt`
+  _reload(startAt) {
+    if (!this.source) return;
+    this._destroyEngines();
+    this._pendingStart = this.live ? 0 : startAt;
+    this._emit('reload', { startAt: this._pendingStart });
+    this._startEngine();
+  }
+
+  // ─── HLS loader ─────────────────────────────────────────────────────────
+  _loadHls(url) {
+    if (typeof Hls === 'undefined') {
+      // Fallback: try native HLS (Safari)
+      if (this.video.canPlayType('application/vnd.apple.mpegurl')) {
+        this.nativeHls = true;
+        this._loadNative(url);
+      } else {
+        this._fail('HLS.js failed to load. Check your connection.');
+      }
+      return;
+    }
+
+    if (!Hls.isSupported()) {
+      // Safari native
+      this.nativeHls = true;
+      this._loadNative(url);
+      return;
+    }
+
+    const config    = this.opts.hlsConfig || window.HLS_CONFIG || HLS_DEFAULTS;
+    const hlsConfig = this.lowLatency ? { ...config, lowLatencyMode: true } : { ...config };
+    if (this._pendingStart) hlsConfig.startPosition = this._pendingStart;
+    this._sizeCapping = !!hlsConfig.capLevelToPlayerSize;
+
+    const hls = this.hls = new Hls(hlsConfig);
+    hls.loadSource(url);
+    hls.attachMedia(this.video);
+    this._emit('engine', { hls, dash: null });
+
+    hls.on(Hls.Events.MANIFEST_PARSED, () => {
+      this._emit('manifest');
+      this._play();
+    });
+    hls.on(Hls.Events.LEVEL_SWITCHED, () => this._onLevelSwitched());
+    hls.on(Hls.Events.FRAG_LOADED, (_e, data) => {
+      if (data.frag.type !== 'main') return;
+      const st = data.frag.stats;
+      this._onFragment({ url: data.frag.url, bytes: st.loaded || st.total, ms: st.loading.end - st.loading.start });
+    });
+    hls.on(Hls.Events.LEVEL_LOADED, (_e, data) => this._setLive(data.details.live));
+    hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, () => this._emit('audiotracks'));
+    hls.on(Hls.Events.AUDIO_TRACK_SWITCHED, () => this._emit('audiotrackchange'));
+    this._consumePendingStart();
+
+    // Fatal errors: network errors reload with backoff, media errors go through
+    // HLS.js's own recovery; when the retries run out, fall back to native HLS.
+    // startLoad() only resumes segment loading — a manifest or level playlist
+    // that failed to load needs loadSource() again, i.e. a full reload.
+    hls.on(Hls.Events.ERROR, (_e, data) => {
+      if (!data.fatal) {
+        this._emit('error', { message: data.details, fatal: false });
+        return;
+      }
+      const reason = `HLS ${data.type === Hls.ErrorTypes.NETWORK_ERROR ? 'network' : 'playback'} error (${data.details || 'unknown'})`;
+      switch (data.type) {
+        case Hls.ErrorTypes.NETWORK_ERROR:
+          if (data.frag) this._retry(reason, () => this.hls?.startLoad());
+          else this._retry(reason, () => this._reload(this._lastPosition));
+          break;
+        case Hls.ErrorTypes.MEDIA_ERROR:
+          this._retry(reason, () => this.hls?.recoverMediaError());
+          break;
+        default:
+          if (!this._switchEngine(reason)) this._fail(reason);
+          break;
+      }
+    });
+  }
+
+  // ─── DASH loader ────────────────────────────────────────────────────────
+  _loadDash(url) {
+    if (!isDashSupported()) {
+      // No Media Source Extensions (e.g. iOS Safari): let the browser try
+      this.video.src = url;
+      this._play();
+      return;
+    }
+
+    const dash = this.dash = createDashPlayer(this.video, {
+      startPosition: this._pendingStart,
+      onReady: () => {
+        this._setLive(!!dash.isLive);
+        this._emit('manifest');
+        this._emit('audiotracks');
+        this._play();
+      },
+      onError:       msg => this._fail(msg),
+      onLevelSwitch: () => this._onLevelSwitched(),
+      onFragment:    f => this._onFragment(f),
+    });
+    this._emit('engine', { hls: null, dash });
+    dash.load(url);
+    this._consumePendingStart();
+  }
+
+  // HLS.js and DASH are handed the start position up front
+  _consumePendingStart() {
+    if (this._pendingStart) this._emit('resume', { time: this._pendingStart });
+    this._pendingStart = 0;
+  }
+
+  _destroyEngines() {
+    clearTimeout(this._retryTimer);
+    clearTimeout(this._stallTimer);
+    this._retryTimer = this._stallTimer = null;
+    if (this.hls || this.dash) {
+      const { hls, dash } = this;
+      this.hls = this.dash = null;
+      this._emit('engine', { hls: null, dash: null });
+      hls?.destroy();
+      dash?.destroy();
+    }
+    this.video.removeAttribute('src');
+    this.video.load();
+  }
+
+  _onFragment(frag) {
+    this.lastFrag = frag;
+    this._emit('fragment', frag);
+  }
+
+  // ─── Video element events ───────────────────────────────────────────────
+  _bindVideo() {
+    const v = this.video;
+    this._handlers = {
+      waiting:        () => { this._armStallTimer(); this._emit('waiting', { seeking: v.seeking }); },
+      playing:        () => this._onPlaying(),
+      pause:          () => { this._clearStallTimer(); this._emit('pause'); },
+      timeupdate:     () => this._onTimeUpdate(),
+      loadedmetadata: () => { this._applyPendingStart(); this._detectNativeLive(); this._emit('loadedmetadata'); },
+      error:          () => this._onVideoError(),
+    };
+    FORWARDED.forEach(type => { this._handlers[type] = () => this._emit(type); });
+    Object.entries(this._handlers).forEach(([type, fn]) => v.addEventListener(type, fn));
+
+    // Native multi-track files (Safari, or Chromium with AudioTrack enabled)
+    this._onAudioChange = () => this._emit('audiotrackchange');
+    v.audioTracks?.addEventListener('addtrack', this._onAudioChange);
+    v.audioTracks?.addEventListener('change',   this._onAudioChange);
+  }
+
+  // Native sources (MP4, Safari HLS) resume here
+  _applyPendingStart() {
+    if (!this._pendingStart) return;
+    const t = this._pendingStart;
+    this._pendingStart = 0;
+    if (isFinite(this.video.duration) && t < this.video.duration) {
+      this.video.currentTime = t;
+      this._emit('resume', { time: t });
+    }
+  }
+
+  // HLS.js reports (and recovers from) its own failures through Hls.Events.ERROR.
+  // Native network errors are retried; decode / unsupported errors on an HLS
+  // source try HLS.js instead of the browser's player.
+  _onVideoError() {
+    if (this.hls || !this.video.getAttribute('src')) return;   // Source cleared on purpose
+    const err  = this.video.error;
+    const msgs = {
+      1: 'Playback aborted.',
+      2: 'Network error. Check the URL and your connection.',
+      3: 'Decoding error. Format may be unsupported.',
+      4: 'Source not supported or URL is invalid.',
+    };
+    const msg = err ? (msgs[err.code] || 'Unknown error.') : 'Could not load video.';
+    if (err?.code === 2) this._retry(msg, () => this._reload(this._lastPosition));
+    else if (!this._switchEngine(msg)) this._fail(msg);
+  }
+
+  _onPlaying() {
+    this._clearStallTimer();
+    this.retries = 0;
+    this._emit('playing');
+    if (!this._reportedOk) {
+      this._reportedOk = true;
+      this._emit('health', { ok: true });
+    }
+  }
+
+  _onTimeUpdate() {
+    const v = this.video;
+    if (v.currentTime > 0 && !v.seeking) this._lastPosition = v.currentTime;
+    this._emit('timeupdate', { currentTime: v.currentTime, duration: v.duration });
+  }
+
+  // ─── Error recovery ─────────────────────────────────────────────────────
+  // Run `attempt` after an exponentially growing delay; after MAX_RETRIES
+  // consecutive failures try the other HLS engine, then give up.
+  _retry(reason, attempt) {
+    clearTimeout(this._retryTimer);
+    if (this.retries >= MAX_RETRIES) {
+      if (!this._switchEngine(reason)) this._fail(`${reason} — gave up after ${MAX_RETRIES} retries.`);
+      return;
+    }
+    const delay = RETRY_BASE_MS * 2 ** this.retries++;
+    this._emit('retry', { reason, attempt: this.retries, max: MAX_RETRIES, delay });
+    this._retryTimer = setTimeout(attempt, delay);
+  }
+
+  // HLS plays through HLS.js or the browser's own support (Safari, some
+  // Android builds). When one of them gives up, try the other once.
+  _switchEngine(reason) {
+    if (this.source?.kind !== 'hls' || this.engineSwitched) return false;
+    const toNative = !this.nativeHls;
+    const possible = toNative
+      ? !!this.video.canPlayType('application/vnd.apple.mpegurl')
+      : typeof Hls !== 'undefined' && Hls.isSupported();
+    if (!possible) return false;
+
+    this.engineSwitched = true;
+    this.nativeHls = toNative;
+    this.retries   = 0;
+    this._emit('enginechange', { native: toNative, reason });
+    this._reload(this._lastPosition);
+    return true;
+  }
+
+  _fail(msg) {
+    clearTimeout(this._retryTimer);
+    this._clearStallTimer();
+    this._emit('error', { message: msg, fatal: true });
+    this._emit('health', { ok: false, error: msg });
+  }
+
+  // Stall detection: 'waiting' while playing with nothing buffered ahead for
+  // STALL_MS means the connection is stuck, so reconnect at the same spot.
+  _armStallTimer() {
+    if (this.video.paused || this._stallTimer) return;
+    this._stallTimer = setTimeout(() => {
+      this._stallTimer = null;
+      if (this.video.paused || (this.bufferAhead() ?? 0) > 0.5) return;
+      this._retry('Playback stalled', () => this._reload(this._lastPosition));
+    }, STALL_MS);
+  }
+
+  _clearStallTimer() {
+    clearTimeout(this._stallTimer);
+    this._stallTimer = null;
+  }
+
+  // ─── Playback ───────────────────────────────────────────────────────────
+  play() {
+    return this.video.play().catch(() => {});
+  }
+
+  pause() {
+    this.video.pause();
+  }
+
+  togglePlay() {
+    if (this.video.paused) this.play();
+    else this.pause();
+  }
+
+  // Absolute seek, clamped to the duration / DVR window
+  seek(time) {
+    const range = this.timeRange();
+    if (!range) return;
+    this.video.currentTime = Math.max(range.start, Math.min(range.live ? this.liveEdge() : range.end, time));
+  }
+
+  seekBy(secs) {
+    this.seek(this.video.currentTime + secs);
+  }
+
+  setRate(rate) {
+    this.video.playbackRate = rate;
+  }
+
+  // Current frame as a small JPEG data URL, or null when nothing is decoded
+  // yet or the source is cross-origin without CORS (tainted canvas).
+  captureFrame(maxWidth = 320) {
+    const v = this.video;
+    if (!v.videoWidth) return null;
+    const scale  = Math.min(1, maxWidth / v.videoWidth);
+    const canvas = document.createElement('canvas');
+    canvas.width  = Math.round(v.videoWidth  * scale);
+    canvas.height = Math.round(v.videoHeight * scale);
+    try {
+      canvas.getContext('2d').drawImage(v, 0, 0, canvas.width, canvas.height);
+      return canvas.toDataURL('image/jpeg', 0.8);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // ─── Timeline and live streams ──────────────────────────────────────────
+  // Span a scrubber represents: the whole file for on-demand sources, the
+  // seekable DVR window for live streams. null until there is anything to show.
+  timeRange() {
+    const v = this.video;
+    if (this.live) {
+      const s = v.seekable;
+      if (!s.length) return null;
+      const start = s.start(0), end = s.end(s.length - 1);
+      return end > start ? { start, end, live: true } : null;
+    }
+    const d = v.duration;
+    return isFinite(d) && d > 0 ? { start: 0, end: d, live: false } : null;
+  }
+
+  // Where "go live" seeks to. HLS.js keeps a target latency behind the newest
+  // segment (shorter in LL-HLS mode); other engines use the seekable end.
+  liveEdge() {
+    const sync = this.hls?.liveSyncPosition;
+    if (sync != null && isFinite(sync)) return sync;
+    const s = this.video.seekable;
+    return s.length ? s.end(s.length - 1) : this.video.currentTime;
+  }
+
+  // Seconds behind the live edge: HLS.js measures it against program date /
+  // segment timing, otherwise the distance to the end of the seekable window.
+  liveLatency() {
+    const lat = this.hls?.latency;
+    if (lat != null && isFinite(lat) && lat > 0) return lat;
+    const s = this.video.seekable;
+    return s.length ? Math.max(0, s.end(s.length - 1) - this.video.currentTime) : null;
+  }
+
+  goLive() {
+    if (!this.live) return;
+    this.video.currentTime = this.liveEdge();
+    this.play();
+  }
+
+  // Seconds buffered ahead of the playhead, or null outside a buffered range
+  bufferAhead() {
+    const v = this.video;
+    if (!v.buffered || !v.buffered.length) return null;
+    const ct = v.currentTime;
+    for (let i = 0; i < v.buffered.length; i++) {
+      if (v.buffered.start(i) <= ct && ct <= v.buffered.end(i)) {
+        return v.buffered.end(i) - ct;
+      }
+    }
+    return null;
+  }
+
+  _setLive(on) {
+    if (this.live === on) return;
+    this.live = on;
+    this._emit('live', { live: on });
+  }
+
+  // Safari's native HLS (and live MP4/WebM over HTTP) report an infinite duration
+  _detectNativeLive() {
+    if (!this.hls && !this.dash && this.video.duration === Infinity) this._setLive(true);
+  }
+
+  // ─── Quality levels (HLS.js levels / DASH representations) ──────────────
+  // The adaptive engine: HLS.js, or the DASH pipeline's HLS.js-like surface
+  get abr() {
+    return this.hls || this.dash;
+  }
+
+  get levels() {
+    return this.abr?.levels || [];
+  }
+
+  // Level being played, or null
+  get level() {
+    const abr = this.abr;
+    return abr?.levels?.[abr.currentLevel] || null;
+  }
+
+  // -1 = automatic
+  setLevel(i) {
+    if (this.abr) this.abr.currentLevel = i;
+  }
+
+  // Highest level automatic selection may use (-1 = uncapped). HLS.js's
+  // capLevelToPlayerSize re-caps to the player size every second and would
+  // undo this, so it is off while a cap is set and restored without one.
+  setLevelCap(i) {
+    if (this.hls && this._sizeCapping) this.hls.capLevelToPlayerSize = i < 0;
+    if (this.abr) this.abr.autoLevelCapping = i;
+  }
+
+  _onLevelSwitched() {
+    const level = this.level;
+    this._emit('levelswitch', { index: this.abr?.currentLevel ?? -1, height: level?.height, bitrate: level?.bitrate });
+  }
+
+  // ─── Audio tracks (HLS.js renditions, DASH sets, native AudioTrackList) ──
+  get audioTracks() {
+    const src = this._audioSource();
+    if (src) {
+      return src.audioTracks.map((t, i) => ({
+        name: t.name || _langName(t.lang) || `Track ${i + 1}`,
+        lang: t.lang || '',
+        active: src.audioTrack === i,
+      }));
+    }
+    return Array.from(this.video.audioTracks || []).map((t, i) => ({
+      name: t.label || _langName(t.language) || `Track ${i + 1}`,
+      lang: t.language || '',
+      active: t.enabled,
+    }));
+  }
+
+  setAudioTrack(i) {
+    const src = this._audioSource();
+    if (src) {
+      src.audioTrack = i;
+    } else if (this.video.audioTracks?.length) {
+      Array.from(this.video.audioTracks).forEach((t, j) => { t.enabled = j === i; });
+    }
+  }
+
+  _audioSource() {
+    return (this.hls?.audioTracks?.length && this.hls)
+        || (this.dash?.audioTracks?.length && this.dash)
+        || null;
+  }
+
+  // ─── Snapshot ───────────────────────────────────────────────────────────
+  getState() {
+    const v     = this.video;
+    const abr   = this.abr;
+    const level = this.level;
+    return {
+      src:         this.source?.url || null,
+      title:       this.source?.title || null,
+      currentTime: v.currentTime,
+      duration:    isFinite(v.duration) ? v.duration : null,
+      paused:      v.paused,
+      ended:       v.ended,
+      muted:       v.muted,
+      volume:      v.volume,
+      rate:        v.playbackRate,
+      live:        this.live,
+      quality:     abr ? (abr.autoLevelEnabled ? 'auto' : level?.height || null) : null,
+      level:       level ? { height: level.height, bitrate: level.bitrate } : null,
+      levels:      this.levels.map((l, i) => ({ index: i, height: l.height, bitrate: l.bitrate })),
+    };
+  }
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────
+export function sourceKind(url) {
+  const ext = fileExt(url);
+  if (ext === 'm3u8' || url.includes('.m3u8')) return 'hls';
+  if (ext === 'mpd'  || url.includes('.mpd'))  return 'dash';
+  return 'direct';
+}
+
+function _langName(code) {
+  if (!code) return '';
+  try {
+    return new Intl.DisplayNames([navigator.language], { type: 'language' }).of(code);
+  } catch (_) {
+    return code;
+  }
+}
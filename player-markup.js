@@ -0,0 +1,253 @@
+/**
+ * player-markup.js — X Stream & Play
+ * Markup inside #playerWrap: video, overlays, controls, menus and panels.
+ * The one copy shared by index.html and embed.html — both pages only carry
+ * an empty #playerWrap, which initPlayer() fills before it gathers DOM refs.
+ */
+
+export const PLAYER_HTML = `
+  <div class="now-playing-label">
+    <span class="pulse-dot"></span>
+    Now Playing
+  </div>
+  <div class="player-title" id="playerTitle">Untitled</div>
+
+  <!-- Player container: holds video + all overlays -->
+  <div class="player-container" id="playerContainer">
+
+    <!-- Native video element — muted for mobile autoplay, will unmute on user interaction -->
+    <video id="videoPlayer" preload="auto" playsinline muted></video>
+
+    <!-- Subtitle overlay (filled by subtitles.js) -->
+    <div class="subtitle-layer" id="subtitleLayer"></div>
+
+    <!-- Loading spinner overlay -->
+    <div class="player-spinner" id="playerSpinner">
+      <div class="spinner-ring"></div>
+    </div>
+
+    <!-- Error overlay -->
+    <div class="player-error" id="playerError">
+      <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>
+      <p id="playerErrorMsg">Could not load video.</p>
+      <small>Check the URL or try a different format.</small>
+      <button class="player-error-retry" id="playerRetryBtn">Retry</button>
+    </div>
+
+    <!-- Resume notice (shown when playback continues from a saved position) -->
+    <div class="resume-chip" id="resumeChip">
+      <span id="resumeChipText">Resumed</span>
+      <button class="resume-chip-btn" id="resumeRestartBtn">Start over</button>
+    </div>
+
+    <!-- Double-tap seek indicators -->
+    <div class="seek-indicator seek-back" id="seekIndBack">
+      <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><path d="M12 5V1L7 6l5 5V7c3.31 0 6 2.69 6 6s-2.69 6-6 6-6-2.69-6-6H4c0 4.42 3.58 8 8 8s8-3.58 8-8-3.58-8-8-8z"/></svg>
+      <span>-10s</span>
+    </div>
+    <div class="seek-indicator seek-fwd" id="seekIndFwd">
+      <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><path d="M12 5V1l5 5-5 5V7c-3.31 0-6 2.69-6 6s2.69 6 6 6 6-2.69 6-6h2c0 4.42-3.58 8-8 8s-8-3.58-8-8 3.58-8 8-8z"/></svg>
+      <span>+10s</span>
+    </div>
+
+    <!-- Controls Overlay -->
+    <div class="player-controls" id="playerControls">
+
+      <!-- Top bar: share link, chapters, stats -->
+      <div class="ctrl-top-bar">
+        <button class="ctrl-stats-btn" id="copyLinkBtn" title="Copy link at current time">
+          <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>
+          Link
+        </button>
+        <button class="ctrl-stats-btn" id="chaptersToggleBtn" title="Chapters &amp; bookmarks">
+          <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>
+          Chapters
+        </button>
+        <button class="ctrl-stats-btn" id="statsToggleBtn" title="Stats for Nerds">
+          <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>
+          Stats
+        </button>
+      </div>
+
+      <!-- Progress / scrubber area -->
+      <div class="ctrl-progress-area">
+        <!-- Seek preview tooltip (seekpreview.js) -->
+        <div class="scrub-preview" id="scrubPreview">
+          <canvas class="scrub-preview-img" id="scrubPreviewCanvas"></canvas>
+          <span class="scrub-preview-chapter" id="scrubPreviewChapter"></span>
+          <span class="scrub-preview-time" id="scrubPreviewTime">0:00</span>
+        </div>
+        <div class="ctrl-scrubber" id="progressBar" role="slider" aria-label="Video progress">
+          <div class="scrubber-buffer" id="bufferBar"></div>
+          <div class="scrubber-played" id="playedBar"></div>
+          <div class="scrubber-loop" id="loopRange"></div>
+          <div class="scrubber-markers" id="chapterMarkers"></div>
+          <div class="scrubber-thumb" id="progressThumb"></div>
+        </div>
+        <div class="ctrl-time-row">
+          <button class="ctrl-live" id="liveBtn" title="Jump to live (L)" hidden>
+            <span class="ctrl-live-dot"></span>LIVE
+          </button>
+          <span class="ctrl-time" id="timeDisplay">0:00 / 0:00</span>
+        </div>
+      </div>
+
+      <!-- Bottom control bar -->
+      <div class="ctrl-bottom-bar">
+
+        <div class="ctrl-group ctrl-group-left">
+          <!-- Play/Pause -->
+          <button class="ctrl-btn ctrl-btn-primary" id="playPauseBtn" title="Play / Pause (Space)">
+            <!-- Icon swapped by JS -->
+            <svg class="icon-play" width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>
+            <svg class="icon-pause hidden" width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/></svg>
+          </button>
+
+          <!-- Queue: previous -->
+          <button class="ctrl-btn" id="prevBtn" title="Previous (Shift+P)">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M6 6h2v12H6zm3.5 6 8.5 6V6z"/></svg>
+          </button>
+
+          <!-- Queue: next -->
+          <button class="ctrl-btn" id="nextBtn" title="Next (Shift+N)">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z"/></svg>
+          </button>
+
+          <!-- Seek back -->
+          <button class="ctrl-btn" id="seekBackBtn" title="Rewind 10s (←)">
+            <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 1 0 .49-3.5"/></svg>
+            <span class="ctrl-seek-label">10</span>
+          </button>
+
+          <!-- Seek forward -->
+          <button class="ctrl-btn" id="seekFwdBtn" title="Forward 10s (→)">
+            <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-.49-3.5"/></svg>
+            <span class="ctrl-seek-label">10</span>
+          </button>
+
+          <!-- Volume + mute -->
+          <div class="ctrl-volume-wrap">
+            <button class="ctrl-btn" id="muteBtn" title="Mute (M)">
+              <!-- Unmuted icon -->
+              <svg class="icon-vol-on" width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14M15.54 8.46a5 5 0 0 1 0 7.07"/></svg>
+              <!-- Muted icon -->
+              <svg class="icon-vol-off hidden" width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><line x1="23" y1="9" x2="17" y2="15"/><line x1="17" y1="9" x2="23" y2="15"/></svg>
+            </button>
+            <input type="range" class="ctrl-volume-slider" id="volumeSlider" min="0" max="1" step="0.02" value="1" aria-label="Volume">
+          </div>
+        </div>
+
+        <div class="ctrl-group ctrl-group-right">
+          <!-- Review: seek step, A-B loop, frame stepping -->
+          <div class="ctrl-menu-wrap">
+            <button class="ctrl-btn ctrl-menu-btn" id="reviewBtn" title="Loop, frame step &amp; seek step (A)">
+              <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/></svg>
+            </button>
+            <div class="ctrl-menu" id="reviewMenu"></div>
+          </div>
+
+          <!-- Subtitles / CC -->
+          <div class="ctrl-menu-wrap">
+            <button class="ctrl-btn ctrl-menu-btn" id="ccBtn" title="Subtitles / CC (C)">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="5" width="20" height="14" rx="2"/><path d="M10 10.5a2 2 0 1 0 0 3M17 10.5a2 2 0 1 0 0 3"/></svg>
+            </button>
+            <div class="ctrl-menu" id="ccMenu"></div>
+          </div>
+
+          <!-- Audio track (multi-rendition streams only) -->
+          <div class="ctrl-menu-wrap hidden">
+            <button class="ctrl-btn ctrl-menu-btn" id="audioBtn" title="Audio track">
+              <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 18v-6a9 9 0 0 1 18 0v6"/><path d="M21 19a2 2 0 0 1-2 2h-1v-6h3zM3 19a2 2 0 0 0 2 2h1v-6H3z"/></svg>
+            </button>
+            <div class="ctrl-menu" id="audioMenu"></div>
+          </div>
+
+          <!-- Quality (adaptive streams only) -->
+          <div class="ctrl-menu-wrap hidden">
+            <button class="ctrl-quality ctrl-menu-btn" id="qualityBtn" title="Quality">
+              <span id="qualityLabel">Auto</span>
+            </button>
+            <div class="ctrl-menu" id="qualityMenu"></div>
+          </div>
+
+          <!-- Speed selector -->
+          <select class="ctrl-speed" id="speedSelect" title="Playback speed">
+            <option value="0.5">0.5×</option>
+            <option value="0.75">0.75×</option>
+            <option value="1" selected>1×</option>
+            <option value="1.25">1.25×</option>
+            <option value="1.5">1.5×</option>
+            <option value="2">2×</option>
+          </select>
+
+          <!-- PiP -->
+          <button class="ctrl-btn" id="pipBtn" title="Picture-in-Picture" style="display:none">
+            <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="3" width="20" height="14" rx="2"/><rect x="12" y="11" width="8" height="6" rx="1"/></svg>
+          </button>
+
+          <!-- Fullscreen -->
+          <button class="ctrl-btn" id="fullscreenBtn" title="Fullscreen (F)">
+            <svg class="icon-fs-enter" width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 3H5a2 2 0 0 0-2 2v3M21 8V5a2 2 0 0 0-2-2h-3M16 21h3a2 2 0 0 0 2-2v-3M3 16v3a2 2 0 0 0 2 2h3"/></svg>
+            <svg class="icon-fs-exit hidden" width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 3v3a2 2 0 0 1-2 2H3M21 8h-3a2 2 0 0 1-2-2V3M3 16h3a2 2 0 0 0 2 2v3M16 21v-3a2 2 0 0 1 2-2h3"/></svg>
+          </button>
+        </div>
+
+      </div>
+    </div><!-- /player-controls -->
+
+    <!-- Stats Panel (Stats for Nerds) -->
+    <div class="stats-panel" id="statsPanel">
+      <div class="stats-header">
+        <span class="stats-title">
+          <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>
+          X Stream &amp; Play · Stats
+        </span>
+        <span class="stats-head-actions">
+          <button class="stats-copy" id="statsCopyBtn" title="Copy a full stats snapshot">Copy</button>
+          <button class="stats-close" id="statsCloseBtn">✕</button>
+        </span>
+      </div>
+      <div class="stats-tabs">
+        <button class="stats-tab active" data-tab="live">Live</button>
+        <button class="stats-tab" data-tab="session">Session</button>
+      </div>
+      <!-- Rolling graphs (last 60 s) -->
+      <div class="stats-graphs" id="statsGraphs">
+        <div class="stats-graph"><span class="stat-key">Buffer Health</span><span class="stat-val" data-spark-val="buffer"></span><canvas data-spark="buffer"></canvas></div>
+        <div class="stats-graph"><span class="stat-key">Bandwidth</span><span class="stat-val" data-spark-val="bandwidth"></span><canvas data-spark="bandwidth"></canvas></div>
+        <div class="stats-graph"><span class="stat-key">Bitrate</span><span class="stat-val" data-spark-val="bitrate"></span><canvas data-spark="bitrate"></canvas></div>
+        <div class="stats-graph"><span class="stat-key">Dropped Frames</span><span class="stat-val" data-spark-val="dropped"></span><canvas data-spark="dropped"></canvas></div>
+      </div>
+      <div class="stats-body" id="statsBody">
+        <!-- Filled by player.js -->
+      </div>
+      <!-- Session recorder (qoe.js) -->
+      <div class="stats-body stats-session" id="statsSession" hidden>
+        <div class="qoe-summary" id="qoeSummary"></div>
+        <canvas class="qoe-chart" id="qoeChart"></canvas>
+        <div class="qoe-legend">
+          <span class="qoe-key qoe-key-buffer">Buffer</span>
+          <span class="qoe-key qoe-key-bw">Bandwidth</span>
+          <span class="qoe-key qoe-key-stall">Rebuffer</span>
+        </div>
+        <div class="qoe-actions">
+          <button class="qoe-btn" id="qoeExportJsonBtn">Export JSON</button>
+          <button class="qoe-btn" id="qoeExportCsvBtn">Export CSV</button>
+        </div>
+      </div>
+    </div>
+
+    <!-- Chapters & bookmarks panel (chapters.js) -->
+    <div class="stats-panel chapters-panel" id="chaptersPanel">
+      <div class="stats-header">
+        <span class="stats-title">
+          <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>
+          Chapters &amp; Bookmarks
+        </span>
+        <button class="stats-close" id="chaptersCloseBtn">✕</button>
+      </div>
+      <div class="chapters-list" id="chaptersList"></div>
+    </div>
+
+  </div><!-- /player-container -->
+`;
@@ -1,34 +1,96 @@
 /**
  * player.js — X Stream & Play
- * Custom HTML5 video player: controls, stats panel, keyboard shortcuts,
- * HLS/DASH/MP4 playback. Real stats only — no fake data.
+ * Custom HTML5 video player UI: controls, stats panel, keyboard shortcuts.
+ * Real stats only — no fake data. Playback itself (engines, retries, live
+ * streams) is a Player from player-core.js; this module drives the
+ * #playerWrap markup (player-markup.js) from its events.
+ * Live streams get a scrubber over the seekable DVR window and a LIVE
+ * button that jumps back to the live edge.
  */
 
+import { Player, MAX_RETRIES, LIVE_EDGE_SLACK, sourceKind } from './player-core.js';
+import {
+  initSubtitles, setSubtitleSources, attachHls, toggleSubtitles, activeSubtitleLabel,
+} from './subtitles.js';
+import { bindMenu, renderMenu } from './menus.js';
+import {
+  initSeekPreview, setPreviewSource, setPreviewCues, showSeekPreview, hideSeekPreview,
+} from './seekpreview.js';
+import {
+  initChapters, setChapterSources, attachHlsChapters, addBookmark, jumpPoint,
+} from './chapters.js';
+import {
+  initReview, resetReview, getLoop, cycleLoop, setLoopPoint, setLoopRange, clearLoop,
+  stepFrame, frameRate, frameRateKnown,
+} from './review.js';
+import { initQoe, startSession, endSession, recordEvent, renderSession, getSession } from './qoe.js';
+import { drawSparkline } from './sparkline.js';
+import { buildDeepLink, isShareableUrl } from './deeplink.js';
+import { openOffline, releaseOffline } from './offline.js';
+import { PLAYER_HTML } from './player-markup.js';
+import { escHtml, fmtTime, fmtSize, fmtBitrate } from './format.js';
+
 // ── Module-level state ────────────────────────────────────────────────────
-let hlsInstance   = null;  // Active HLS.js instance (if any)
+let player        = null;  // Player (player-core.js) behind the #playerWrap UI
 let statsInterval = null;  // setInterval handle for stats updates
+let statsTab      = 'live'; // Stats panel view: 'live' readout or 'session' (QoE recorder)
 let hideTimer     = null;  // Timeout handle for controls auto-hide
 let isDragging    = false; // Scrubber drag state
 let lastTap       = 0;     // For double-tap detection on mobile
+let resumeTimer   = null;  // Timeout handle for the resume chip
+let loopDragFrom  = null;  // Scrubber ratio where a Shift+drag loop selection began
+let loadGen       = 0;     // Bumped per loadVideo(), so a stale offline lookup is dropped
+
+// Quality: remembered preference ('auto' or a max height like '720') and a
+// per-session data cap (0 = none). Mobile data defaults to a 720p cap.
+const QUALITY_CAPS = [0, 1080, 720, 480, 360];
+let qualityPref = localStorage.getItem('xstream_quality') || 'auto';
+let qualityCap  = +(sessionStorage.getItem('xstream_quality_cap') ?? _defaultCap());
+
+// Stats graphs: the last SPARK_SECONDS of the QoE recorder's 1 s samples
+const SPARK_SECONDS = 60;
+const SPARKS = {
+  buffer:    { color: '#e8c97b', get: s => s.bufferAhead, fmt: v => `${v.toFixed(1)} s` },
+  bandwidth: { color: '#6fa8ff', get: s => s.bandwidth,   fmt: fmtBitrate },
+  bitrate:   { color: '#b48cff', get: s => s.bitrate,     fmt: fmtBitrate },
+  dropped:   { color: '#e05252', get: null,               fmt: v => `${v.toFixed(1)}%`, max: 10 },
+};
+
+// Seek step for the buttons, arrow keys and double-tap (remembered)
+const SEEK_STEPS = [5, 10, 15, 30, 60];
+let seekStep = +localStorage.getItem('xstream_seek_step') || 10;
+
+// Callbacks registered by the library (see setPlayerHooks)
+const hooks = {
+  onTime: null, onEnded: null, onNext: null, onPrev: null,
+  onSubtitlesChange: null, onBookmarksChange: null, onNotice: null, onHealth: null,
+  onLevelSwitch: null,
+};
 
 // DOM refs (assigned in initPlayer)
 let video, container, controls, spinner, errorOverlay, errorMsg,
-    playPauseBtn, seekBackBtn, seekFwdBtn, muteBtn, volumeSlider,
+    playPauseBtn, prevBtn, nextBtn, seekBackBtn, seekFwdBtn, muteBtn, volumeSlider,
     speedSelect, pipBtn, fullscreenBtn,
     progressBar, bufferBar, playedBar, progressThumb, timeDisplay,
-    statsToggleBtn, statsPanel, statsCloseBtn, statsBody,
-    seekIndBack, seekIndFwd;
+    statsToggleBtn, statsPanel, statsCloseBtn, statsBody, statsSession, statsGraphs,
+    seekIndBack, seekIndFwd, resumeChip, resumeChipText,
+    qualityBtn, qualityLabel, qualityMenu, audioBtn, audioMenu, reviewBtn, reviewMenu,
+    liveBtn;
 
 // ─────────────────────────────────────────────────────────────────────────
 export function initPlayer() {
-  // Gather DOM references
-  video         = document.getElementById('videoPlayer');
+  // Build the player UI, then gather DOM references
+  document.getElementById('playerWrap').innerHTML = PLAYER_HTML;
   container     = document.getElementById('playerContainer');
+  player        = new Player(container);
+  video         = player.video;
   controls      = document.getElementById('playerControls');
   spinner       = document.getElementById('playerSpinner');
   errorOverlay  = document.getElementById('playerError');
   errorMsg      = document.getElementById('playerErrorMsg');
   playPauseBtn  = document.getElementById('playPauseBtn');
+  prevBtn       = document.getElementById('prevBtn');
+  nextBtn       = document.getElementById('nextBtn');
   seekBackBtn   = document.getElementById('seekBackBtn');
   seekFwdBtn    = document.getElementById('seekFwdBtn');
   muteBtn       = document.getElementById('muteBtn');
@@ -45,158 +107,253 @@ export function initPlayer() {
   statsPanel    = document.getElementById('statsPanel');
   statsCloseBtn = document.getElementById('statsCloseBtn');
   statsBody     = document.getElementById('statsBody');
+  statsSession  = document.getElementById('statsSession');
+  statsGraphs   = document.getElementById('statsGraphs');
   seekIndBack   = document.getElementById('seekIndBack');
   seekIndFwd    = document.getElementById('seekIndFwd');
+  resumeChip    = document.getElementById('resumeChip');
+  resumeChipText= document.getElementById('resumeChipText');
+  qualityBtn    = document.getElementById('qualityBtn');
+  qualityLabel  = document.getElementById('qualityLabel');
+  qualityMenu   = document.getElementById('qualityMenu');
+  audioBtn      = document.getElementById('audioBtn');
+  audioMenu     = document.getElementById('audioMenu');
+  reviewBtn     = document.getElementById('reviewBtn');
+  reviewMenu    = document.getElementById('reviewMenu');
+  liveBtn       = document.getElementById('liveBtn');
+
+  initSubtitles({
+    video,
+    layer:    document.getElementById('subtitleLayer'),
+    button:   document.getElementById('ccBtn'),
+    menu:     document.getElementById('ccMenu'),
+    onChange: list => hooks.onSubtitlesChange?.(list),
+    notify:   (msg, type) => hooks.onNotice?.(msg, type),
+  });
+
+  initChapters({
+    video,
+    markers:     document.getElementById('chapterMarkers'),
+    panel:       document.getElementById('chaptersPanel'),
+    list:        document.getElementById('chaptersList'),
+    button:      document.getElementById('chaptersToggleBtn'),
+    closeButton: document.getElementById('chaptersCloseBtn'),
+    onChange:    list => hooks.onBookmarksChange?.(list),
+    notify:      (msg, type) => hooks.onNotice?.(msg, type),
+  });
+
+  initReview({
+    video,
+    range:    document.getElementById('loopRange'),
+    notify:   (msg, type) => hooks.onNotice?.(msg, type),
+    fpsHint:  _streamFps,
+    onChange: _onReviewChange,
+  });
+
+  initQoe({
+    summary:    document.getElementById('qoeSummary'),
+    canvas:     document.getElementById('qoeChart'),
+    exportJson: document.getElementById('qoeExportJsonBtn'),
+    exportCsv:  document.getElementById('qoeExportCsvBtn'),
+  });
+
+  initSeekPreview({
+    video,
+    bar:    progressBar,
+    area:   progressBar.parentElement,
+    tip:    document.getElementById('scrubPreview'),
+    canvas: document.getElementById('scrubPreviewCanvas'),
+    time:     document.getElementById('scrubPreviewTime'),
+    chapter:  document.getElementById('scrubPreviewChapter'),
+    range:    () => player.timeRange(),
+    liveEdge: () => player.liveEdge(),
+  });
 
   // Show PiP button only if supported
   if (document.pictureInPictureEnabled) {
     pipBtn.style.display = 'flex';
   }
 
-  _bindVideoEvents();
+  _bindPlayerEvents();
   _bindControlEvents();
   _bindKeyboard();
   _bindPointerControls();
   _bindMobileGestures();
 }
 
+// ─── Hooks for the library (progress persistence etc.) ───────────────────
+export function setPlayerHooks(h) {
+  Object.assign(hooks, h);
+}
+
+// The Player instance, for code that wants its events or methods directly
+export function getPlayer() {
+  return player;
+}
+
 // ─── Load a new video (called from library.js) ────────────────────────────
-export function loadVideo(url, title) {
-  _destroyHls();
+// opts.startAt:   resume position in seconds (0 = from the beginning)
+// opts.subtitles: external subtitle attachments saved with the entry
+// opts.previewTrack: WebVTT thumbnail track for seek-bar previews
+// opts.chapters:  WebVTT chapter file URL; opts.bookmarks: saved bookmarks
+// opts.lowLatency: enable HLS.js low-latency mode (LL-HLS) for this source
+// opts.autoplay:  false to load without starting playback (default true)
+export function loadVideo(url, title, opts = {}) {
+  player.unload();
   clearStats();
   hideError();
+  _hideResumeChip();
   showSpinner();
+  setSubtitleSources(opts.subtitles);
+  setChapterSources({ track: opts.chapters, bookmarks: opts.bookmarks });
+  resetReview();
+  _onReviewChange();
 
   document.getElementById('playerTitle').textContent = title || 'Untitled';
   const wrap = document.getElementById('playerWrap');
   wrap.classList.add('visible');
-  wrap.scrollIntoView({ behavior: 'smooth', block: 'start' });
-
-  const ext = _getExt(url);
-
-  if (ext === 'm3u8' || url.includes('.m3u8')) {
-    _loadHls(url);
-  } else if (ext === 'mpd' || url.includes('.mpd')) {
-    // DASH: load natively (browser may support it)
-    video.src = url;
-    video.load();
-    video.play().catch(() => {});
-  } else {
-    // Plain MP4 / WebM / etc.
-    video.src = url;
-    video.load();
-    video.play().catch(() => {});
-  }
-}
-
-// ─── HLS loader ──────────────────────────────────────────────────────────
-function _loadHls(url) {
-  if (typeof Hls === 'undefined') {
-    // Fallback: try native HLS (Safari)
-    if (video.canPlayType('application/vnd.apple.mpegurl')) {
-      video.src = url;
-      video.play().catch(() => {});
-    } else {
-      showError('HLS.js failed to load. Check your connection.');
-    }
-    return;
-  }
-
-  if (!Hls.isSupported()) {
-    // Safari native
-    video.src = url;
-    video.play().catch(() => {});
-    return;
-  }
-
-  // Use hls-config.js if available (imported separately), else defaults
-  const config = (window.HLS_CONFIG) ? window.HLS_CONFIG : {
-    enableWorker: true,
-    lowLatencyMode: false,
-    backBufferLength: 90,
-  };
-
-  hlsInstance = new Hls(config);
-  hlsInstance.loadSource(url);
-  hlsInstance.attachMedia(video);
-
-  hlsInstance.on(Hls.Events.MANIFEST_PARSED, () => {
-    video.play().catch(() => {});
-  });
-
-  hlsInstance.on(Hls.Events.ERROR, (_e, data) => {
-    if (data.fatal) {
-      switch (data.type) {
-        case Hls.ErrorTypes.NETWORK_ERROR:
-          hlsInstance.startLoad();
-          break;
-        case Hls.ErrorTypes.MEDIA_ERROR:
-          hlsInstance.recoverMediaError();
-          break;
-        default:
-          showError('HLS fatal error: ' + (data.details || 'unknown'));
-          break;
-      }
-    }
+  // Framed (embed.html): never scroll the host page
+  if (window.top === window) wrap.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+  setPreviewSource(url, { kind: sourceKind(url), track: opts.previewTrack });
+  // An offline copy (offline.js) plays in place of the network source
+  const gen = ++loadGen;
+  openOffline(url).catch(() => null).then(localCopy => {
+    if (gen !== loadGen) return;
+    player.load(url, {
+      title, localCopy, startAt: opts.startAt, lowLatency: opts.lowLatency, autoplay: opts.autoplay,
+    });
   });
 }
 
-function _destroyHls() {
-  if (hlsInstance) {
-    hlsInstance.destroy();
-    hlsInstance = null;
-  }
-  video.removeAttribute('src');
-  video.load();
+// Stop playback and hide the player (the playing entry was removed)
+export function closePlayer() {
+  loadGen++;
+  player.unload();
+  releaseOffline();
+  endSession();
+  clearStats();
+  hideError();
+  hideSpinner();
+  _hideResumeChip();
+  document.getElementById('playerWrap').classList.remove('visible');
 }
 
-// ─── Video element events ─────────────────────────────────────────────────
-function _bindVideoEvents() {
-  video.addEventListener('waiting',     showSpinner);
-  video.addEventListener('playing',     () => { hideSpinner(); hideError(); _setPlayIcon(false); });
-  video.addEventListener('pause',       () => _setPlayIcon(true));
-  video.addEventListener('play',        () => _setPlayIcon(false));
-  video.addEventListener('ended',       () => _setPlayIcon(true));
-  video.addEventListener('error',       _onVideoError);
-  video.addEventListener('canplay',     hideSpinner);
-  video.addEventListener('loadeddata',  hideSpinner);
-
-  video.addEventListener('timeupdate', _onTimeUpdate);
-  video.addEventListener('progress',   _onProgress);
-  video.addEventListener('volumechange', _onVolumeChange);
+// ─── Player events ────────────────────────────────────────────────────────
+function _bindPlayerEvents() {
+  player.on('loadstart',   ({ source }) => startSession({ ...source, lowLatency: player.lowLatency }, _qoeProbe));
+  player.on('reload',      () => { hideError(); showSpinner(); });
+  player.on('engine',      ({ hls }) => {
+    attachHls(hls);
+    attachHlsChapters(hls);
+    _updateQualityBtn();
+    _updateAudioBtn();
+  });
+  player.on('manifest',    () => {
+    _applyQualityPrefs();
+    if (player.dash) setPreviewCues(player.dash.thumbnails);
+  });
+  player.on('levelswitch', _onLevelSwitched);
+  player.on('audiotracks', _applyAudioPref);
+  player.on('audiotrackchange', _updateAudioBtn);
+  player.on('live',        ({ live }) => _setLive(live));
+  player.on('resume',      ({ time }) => _showResumeChip(time));
+
+  player.on('waiting',     ({ seeking }) => { showSpinner(); recordEvent('waiting', { seeking }); });
+  player.on('seeking',     () => recordEvent('seek', { to: +video.currentTime.toFixed(2) }));
+  player.on('playing',     _onPlaying);
+  player.on('pause',       () => _setPlayIcon(true));
+  player.on('play',        () => _setPlayIcon(false));
+  player.on('ended',       () => { _setPlayIcon(true); recordEvent('ended'); hooks.onEnded?.(); });
+  player.on('canplay',     hideSpinner);
+  player.on('loadeddata',  hideSpinner);
+  player.on('loadedmetadata', _applyAudioPref);
+  player.on('timeupdate',  _onTimeUpdate);
+  player.on('progress',    _onProgress);
+  player.on('volumechange', _onVolumeChange);
+
+  // Recovery: retries and engine switches are announced, failures shown
+  player.on('retry', ({ reason, attempt, max, delay }) => {
+    recordEvent('error', { message: reason, fatal: false, retry: attempt });
+    showSpinner();
+    hooks.onNotice?.(`${reason} — retrying in ${delay / 1000} s (${attempt}/${max})…`);
+  });
+  player.on('enginechange', ({ native, reason }) => {
+    hooks.onNotice?.(`${reason} — switching to ${native ? 'the native player' : 'HLS.js'}.`);
+  });
+  player.on('error', ({ message, fatal }) => {
+    if (fatal) showError(message);
+    recordEvent('error', { message, fatal });
+  });
+  // An offline copy playing (or not) says nothing about the link itself
+  player.on('health', h => { if (!player.source?.offline) hooks.onHealth?.(h); });
 
   // Fullscreen change
   document.addEventListener('fullscreenchange',       _onFullscreenChange);
   document.addEventListener('webkitfullscreenchange', _onFullscreenChange);
 }
 
-function _onVideoError() {
+function _onPlaying() {
   hideSpinner();
-  const err = video.error;
-  const msgs = {
-    1: 'Playback aborted.',
-    2: 'Network error. Check the URL and your connection.',
-    3: 'Decoding error. Format may be unsupported.',
-    4: 'Source not supported or URL is invalid.',
-  };
-  showError(err ? (msgs[err.code] || 'Unknown error.') : 'Could not load video.');
+  hideError();
+  _setPlayIcon(false);
+  recordEvent('playing');
+}
+
+// Retry button: start over with a fresh retry budget from where it stopped
+export function retryPlayback() {
+  player.retry();
 }
 
 // ─── Time update → scrubber & time display ────────────────────────────────
+// Live streams have no meaningful resume position, so progress is only
+// reported for on-demand sources.
 function _onTimeUpdate() {
-  if (isDragging || !video.duration) return;
+  if (!player.live && video.duration) hooks.onTime?.(video.currentTime, video.duration);
+  if (player.live) _updateLiveBtn();
+  const range = player.timeRange();
+  if (isDragging || !range) return;
 
-  const pct = (video.currentTime / video.duration) * 100;
+  const pct = _rangeRatio(range, video.currentTime) * 100;
   playedBar.style.width  = pct + '%';
   progressThumb.style.left = pct + '%';
-  timeDisplay.textContent = `${_fmt(video.currentTime)} / ${_fmt(video.duration)}`;
+  timeDisplay.textContent = _timeText(range, video.currentTime);
 }
 
 // Buffer bar
 function _onProgress() {
-  if (!video.duration || !video.buffered.length) return;
+  const range = player.timeRange();
+  if (!range || !video.buffered.length) return;
   const end = video.buffered.end(video.buffered.length - 1);
-  bufferBar.style.width = (end / video.duration * 100) + '%';
+  bufferBar.style.width = (_rangeRatio(range, end) * 100) + '%';
+}
+
+// ─── Live streams ─────────────────────────────────────────────────────────
+function _rangeRatio(range, t) {
+  return Math.max(0, Math.min(1, (t - range.start) / (range.end - range.start)));
+}
+
+// "1:23 / 45:00" on demand; "LIVE" or "−0:42" (behind the edge) when live
+function _timeText(range, t) {
+  if (!range.live) return `${fmtTime(t)} / ${fmtTime(range.end)}`;
+  const behind = player.liveEdge() - t;
+  return behind > LIVE_EDGE_SLACK ? `−${fmtTime(behind)}` : 'LIVE';
+}
+
+function _setLive(on) {
+  liveBtn.hidden = !on;
+  container.classList.toggle('is-live', on);
+  if (on) _updateLiveBtn();
+}
+
+function _updateLiveBtn() {
+  const atEdge = player.liveEdge() - video.currentTime <= LIVE_EDGE_SLACK;
+  liveBtn.classList.toggle('at-edge', atEdge);
+  liveBtn.title = atEdge ? 'Playing live' : 'Jump to live (L)';
+}
+
+export function goLive() {
+  player.goLive();
 }
 
 // Volume icon
@@ -222,9 +379,14 @@ function _bindControlEvents() {
   // Click on video center → play/pause (not double-tap area)
   video.addEventListener('click', togglePlayPause);
 
+  // Queue: previous / next
+  prevBtn.addEventListener('click', () => hooks.onPrev?.());
+  nextBtn.addEventListener('click', () => hooks.onNext?.());
+
   // Seek
-  seekBackBtn.addEventListener('click', () => seek(-10));
-  seekFwdBtn.addEventListener('click',  () => seek(+10));
+  seekBackBtn.addEventListener('click', () => seek(-seekStep));
+  seekFwdBtn.addEventListener('click',  () => seek(+seekStep));
+  _applySeekStep();
 
   // Mute
   muteBtn.addEventListener('click', () => {
@@ -239,7 +401,7 @@ function _bindControlEvents() {
 
   // Speed
   speedSelect.addEventListener('change', () => {
-    video.playbackRate = parseFloat(speedSelect.value);
+    player.setRate(parseFloat(speedSelect.value));
   });
 
   // PiP
@@ -256,18 +418,52 @@ function _bindControlEvents() {
   // Fullscreen
   fullscreenBtn.addEventListener('click', toggleFullscreen);
 
+  // Live: jump back to the live edge
+  liveBtn.addEventListener('click', goLive);
+
+  // Quality / audio menus
+  bindMenu(qualityBtn, qualityMenu, _renderQualityMenu);
+  bindMenu(audioBtn,   audioMenu,   _renderAudioMenu);
+  bindMenu(reviewBtn,  reviewMenu,  _renderReviewMenu);
+
   // Stats panel
   statsToggleBtn.addEventListener('click', toggleStats);
   statsCloseBtn.addEventListener('click', closeStats);
+  document.getElementById('statsCopyBtn').addEventListener('click', copyStats);
+
+  // Share: deep link to the current position
+  document.getElementById('copyLinkBtn').addEventListener('click', copyLink);
+  statsPanel.querySelectorAll('.stats-tab').forEach(tab => {
+    tab.addEventListener('click', () => _setStatsTab(tab.dataset.tab));
+  });
+
+  // Error overlay → try again
+  document.getElementById('playerRetryBtn').addEventListener('click', retryPlayback);
+
+  // Resume chip → restart from zero
+  document.getElementById('resumeRestartBtn').addEventListener('click', () => {
+    video.currentTime = 0;
+    _hideResumeChip();
+  });
 
   // Scrubber (progress bar)
   progressBar.addEventListener('mousedown', _scrubStart);
   progressBar.addEventListener('touchstart', _scrubStart, { passive: true });
+
+  // Hover (without dragging) shows the time / thumbnail tooltip too
+  progressBar.addEventListener('mousemove', e => {
+    if (!isDragging) showSeekPreview(_scrubRatio(e.clientX));
+  });
+  progressBar.addEventListener('mouseleave', () => {
+    if (!isDragging) hideSeekPreview();
+  });
 }
 
 // ─── Scrubber drag ────────────────────────────────────────────────────────
+// Shift+drag selects an A-B loop range instead of seeking
 function _scrubStart(e) {
   isDragging = true;
+  loopDragFrom = e.shiftKey ? _scrubRatio(e.clientX) : null;
   _scrubMove(e);
   window.addEventListener('mousemove', _scrubMove);
   window.addEventListener('mouseup',   _scrubEnd);
@@ -277,15 +473,14 @@ function _scrubStart(e) {
 
 function _scrubMove(e) {
   if (!isDragging) return;
-  const rect = progressBar.getBoundingClientRect();
-  const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-  const ratio = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+  const ratio = _scrubRatio(e.touches ? e.touches[0].clientX : e.clientX);
   const pct = ratio * 100;
+  showSeekPreview(ratio);
+  if (loopDragFrom != null) return;
   playedBar.style.width    = pct + '%';
   progressThumb.style.left = pct + '%';
-  if (video.duration) {
-    timeDisplay.textContent = `${_fmt(ratio * video.duration)} / ${_fmt(video.duration)}`;
-  }
+  const range = player.timeRange();
+  if (range) timeDisplay.textContent = _timeText(range, _rangeTime(range, ratio));
 }
 
 function _scrubEnd(e) {
@@ -295,13 +490,28 @@ function _scrubEnd(e) {
   window.removeEventListener('mouseup',   _scrubEnd);
   window.removeEventListener('touchmove', _scrubMove);
   window.removeEventListener('touchend',  _scrubEnd);
+  hideSeekPreview();
+
+  const ratio = _scrubRatio(e.changedTouches ? e.changedTouches[0].clientX : e.clientX);
+  const range = player.timeRange();
+  if (loopDragFrom != null) {
+    const from = loopDragFrom;
+    loopDragFrom = null;
+    if (range) setLoopRange(_rangeTime(range, from), _rangeTime(range, ratio));
+    return;
+  }
+  if (range) {
+    player.seek(_rangeTime(range, ratio));
+  }
+}
 
+function _rangeTime(range, ratio) {
+  return range.start + ratio * (range.end - range.start);
+}
+
+function _scrubRatio(clientX) {
   const rect = progressBar.getBoundingClientRect();
-  const clientX = e.changedTouches ? e.changedTouches[0].clientX : e.clientX;
-  const ratio = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
-  if (video.duration) {
-    video.currentTime = ratio * video.duration;
-  }
+  return Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
 }
 
 // ─── Controls auto-hide on inactivity ────────────────────────────────────
@@ -345,10 +555,10 @@ function _bindMobileGestures() {
       const relX   = (touchX - rect.left) / rect.width;
 
       if (relX < 0.4) {
-        seek(-10);
+        seek(-seekStep);
         _flashSeekInd(seekIndBack);
       } else if (relX > 0.6) {
-        seek(+10);
+        seek(+seekStep);
         _flashSeekInd(seekIndFwd);
       }
       e.preventDefault();
@@ -366,6 +576,8 @@ function _bindKeyboard() {
   document.addEventListener('keydown', (e) => {
     // Don't intercept when typing in an input
     if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+    // Leave Ctrl/Cmd/Alt combinations (copy, select all, address bar…) to the browser
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
     if (!document.getElementById('playerWrap').classList.contains('visible')) return;
 
     switch (e.code) {
@@ -375,12 +587,12 @@ function _bindKeyboard() {
         break;
       case 'ArrowRight':
         e.preventDefault();
-        seek(+10);
+        seek(+seekStep);
         _flashSeekInd(seekIndFwd);
         break;
       case 'ArrowLeft':
         e.preventDefault();
-        seek(-10);
+        seek(-seekStep);
         _flashSeekInd(seekIndBack);
         break;
       case 'ArrowUp':
@@ -402,21 +614,58 @@ function _bindKeyboard() {
       case 'KeyI':
         toggleStats();
         break;
+      case 'KeyC':
+        toggleSubtitles();
+        break;
+      case 'KeyN':
+        if (e.shiftKey) hooks.onNext?.();
+        break;
+      case 'KeyP':
+        if (e.shiftKey) hooks.onPrev?.();
+        break;
+      case 'KeyB':
+        addBookmark(e.shiftKey);
+        break;
+      case 'BracketLeft':
+        jumpPoint(-1);
+        break;
+      case 'BracketRight':
+        jumpPoint(1);
+        break;
+      case 'KeyA':
+        if (e.shiftKey) clearLoop();
+        else cycleLoop();
+        break;
+      case 'Comma':
+        stepFrame(-1);
+        break;
+      case 'Period':
+        stepFrame(1);
+        break;
+      case 'KeyL':
+        goLive();
+        break;
     }
   });
 }
 
 // ─── Player actions ───────────────────────────────────────────────────────
-export function togglePlayPause() {
-  if (video.paused) {
-    video.play().catch(() => {});
-  } else {
-    video.pause();
+export function togglePlayPause() { player.togglePlay(); }
+export function seek(secs)        { player.seekBy(secs); }
+
+// "Copy link at current time": opens the app at this source and position
+export function copyLink() {
+  const src = player.source;
+  if (!src) return;
+  if (!isShareableUrl(src.url)) {
+    hooks.onNotice?.('Local files cannot be shared by link.', 'error');
+    return;
   }
-}
-
-export function seek(secs) {
-  video.currentTime = Math.max(0, Math.min(video.duration || 0, video.currentTime + secs));
+  const time = player.live ? 0 : video.currentTime;
+  navigator.clipboard.writeText(buildDeepLink(src.url, { time, title: src.title })).then(
+    () => hooks.onNotice?.(time >= 1 ? `Link at ${fmtTime(time)} copied.` : 'Link copied.', 'success'),
+    () => hooks.onNotice?.('Could not access the clipboard.', 'error'),
+  );
 }
 
 export function toggleFullscreen() {
@@ -427,6 +676,225 @@ export function toggleFullscreen() {
   }
 }
 
+// Current frame as a small JPEG data URL (see Player.captureFrame)
+export function captureFrame(maxWidth = 320) {
+  return player.captureFrame(maxWidth);
+}
+
+// ─── Resume chip ("Resumed at 12:34 · Start over") ───────────────────────
+function _showResumeChip(sec) {
+  resumeChipText.textContent = `Resumed at ${fmtTime(sec)}`;
+  resumeChip.classList.add('active');
+  clearTimeout(resumeTimer);
+  resumeTimer = setTimeout(_hideResumeChip, 6000);
+}
+
+function _hideResumeChip() {
+  clearTimeout(resumeTimer);
+  resumeChip.classList.remove('active');
+}
+
+// ─── Quality menu (HLS.js levels / DASH representations) ─────────────────
+function _onLevelSwitched(level) {
+  _updateQualityBtn();
+  if (!player.level) return;
+  recordEvent('level', { height: level.height, bitrate: level.bitrate });
+  hooks.onLevelSwitch?.(level);
+}
+
+// Once-a-second sample for the QoE session recorder
+function _qoeProbe() {
+  const level = player.level;
+  const bw    = player.abr?.bandwidthEstimate;
+  const q     = video.getVideoPlaybackQuality?.();
+  return {
+    position:      +video.currentTime.toFixed(2),
+    paused:        video.paused,
+    bufferAhead:   +(player.bufferAhead() ?? 0).toFixed(2),
+    bandwidth:     bw && isFinite(bw) ? Math.round(bw) : null,
+    bitrate:       level?.bitrate || null,
+    height:        level?.height || video.videoHeight || null,
+    droppedFrames: q ? q.droppedVideoFrames : null,
+    totalFrames:   q ? q.totalVideoFrames : null,
+  };
+}
+
+function _applyQualityPrefs() {
+  const levels = player.levels;
+  if (!levels.length) return;
+  player.setLevelCap(_capIndex(levels));
+  if (qualityPref !== 'auto') player.setLevel(_levelForHeight(levels, +qualityPref));
+  _updateQualityBtn();
+}
+
+// Highest level at or below the session cap (-1 = uncapped)
+function _capIndex(levels) {
+  if (!qualityCap) return -1;
+  return Math.max(0, _levelForHeight(levels, qualityCap));
+}
+
+function _levelForHeight(levels, height) {
+  let best = 0;
+  levels.forEach((l, i) => {
+    if ((l.height || 0) <= height && (l.height || 0) >= (levels[best].height || 0)) best = i;
+  });
+  return best;
+}
+
+function _levelName(l) {
+  return l.height ? `${l.height}p` : fmtBitrate(l.bitrate);
+}
+
+// 'auto', or a height: the best level at or below it. Returns false when the
+// source has no selectable levels.
+export function setQuality(q) {
+  const levels = player.levels;
+  if (levels.length < 2) return false;
+  _selectLevel(q === 'auto' ? -1 : _levelForHeight(levels, +q));
+  return true;
+}
+
+function _selectLevel(i) {
+  if (!player.abr) return;
+  player.setLevel(i);
+  qualityPref = i < 0 ? 'auto' : String(player.levels[i].height || 'auto');
+  localStorage.setItem('xstream_quality', qualityPref);
+  _updateQualityBtn();
+  _renderQualityMenu();
+}
+
+function _setCap(cap) {
+  qualityCap = cap;
+  sessionStorage.setItem('xstream_quality_cap', String(cap));
+  if (player.levels.length) player.setLevelCap(_capIndex(player.levels));
+  _renderQualityMenu();
+}
+
+function _renderQualityMenu() {
+  const abr    = player.abr;
+  const levels = player.levels;
+  const auto   = !abr || abr.autoLevelEnabled;
+  const cur    = levels[abr?.currentLevel];
+  const cap    = _capIndex(levels);
+
+  renderMenu(qualityMenu, [
+    { head: 'Quality' },
+    { label: 'Auto', hint: auto && cur ? _levelName(cur) : '', active: auto, onClick: () => _selectLevel(-1) },
+    ...levels.map((l, i) => ({ l, i })).reverse().map(({ l, i }) => ({
+      label: _levelName(l) + (cap >= 0 && i > cap ? ' (capped)' : ''),
+      hint: [l.height ? fmtBitrate(l.bitrate) : '', (l.videoCodec || l.audioCodec || '').split('.')[0]]
+        .filter(Boolean).join(' · '),
+      active: !auto && abr.currentLevel === i,
+      onClick: () => _selectLevel(i),
+    })),
+    { divider: true },
+    { label: 'Data cap', options: QUALITY_CAPS.map(c => ({
+      label: c ? `${c}p` : 'Off', active: qualityCap === c, onClick: () => _setCap(c),
+    })) },
+  ]);
+}
+
+function _updateQualityBtn() {
+  const abr    = player.abr;
+  const levels = player.levels;
+  qualityBtn.parentElement.classList.toggle('hidden', levels.length < 2);
+  if (levels.length < 2) return;
+  const cur = levels[abr.currentLevel];
+  qualityLabel.textContent = abr.autoLevelEnabled ? (cur ? `Auto ${_levelName(cur)}` : 'Auto') : (cur ? _levelName(cur) : '–');
+}
+
+function _defaultCap() {
+  const conn = navigator.connection;
+  return conn && (conn.saveData || conn.type === 'cellular') ? 720 : 0;
+}
+
+// ─── Review: seek step, A-B loop, frame stepping ─────────────────────────
+function _setSeekStep(s) {
+  seekStep = s;
+  localStorage.setItem('xstream_seek_step', String(s));
+  _applySeekStep();
+  _renderReviewMenu();
+}
+
+function _applySeekStep() {
+  seekBackBtn.querySelector('.ctrl-seek-label').textContent = seekStep;
+  seekFwdBtn.querySelector('.ctrl-seek-label').textContent  = seekStep;
+  seekBackBtn.title = `Rewind ${seekStep}s (←)`;
+  seekFwdBtn.title  = `Forward ${seekStep}s (→)`;
+  seekIndBack.querySelector('span').textContent = `-${seekStep}s`;
+  seekIndFwd.querySelector('span').textContent  = `+${seekStep}s`;
+}
+
+function _renderReviewMenu() {
+  const { a, b } = getLoop();
+  const fps = frameRate();
+  renderMenu(reviewMenu, [
+    { head: 'Seek step' },
+    { label: 'Step', options: SEEK_STEPS.map(s => ({
+      label: `${s}s`, active: seekStep === s, onClick: () => _setSeekStep(s),
+    })) },
+    { divider: true },
+    { head: 'A-B loop (A · Shift+drag on the bar)' },
+    { label: 'Set A here', hint: a != null ? fmtTime(a) : '', active: a != null, onClick: () => setLoopPoint('a') },
+    { label: 'Set B here', hint: b != null ? fmtTime(b) : '', active: b != null, onClick: () => setLoopPoint('b') },
+    { label: 'Clear loop', onClick: clearLoop },
+    { divider: true },
+    { head: `Frame step (, .) · ${frameRateKnown() ? '' : '~'}${+fps.toFixed(3)} fps` },
+    { label: 'Frame', options: [
+      { label: '◀ Prev', onClick: () => stepFrame(-1) },
+      { label: 'Next ▶', onClick: () => stepFrame(1) },
+    ] },
+  ]);
+}
+
+function _onReviewChange() {
+  const { a, b } = getLoop();
+  reviewBtn.classList.toggle('looping', a != null && b != null);
+  if (reviewMenu.classList.contains('active')) _renderReviewMenu();
+}
+
+// Frame rate advertised by the current adaptive level, if any
+function _streamFps() {
+  return player.level?.frameRate || 0;
+}
+
+// ─── Audio tracks (HLS.js renditions, DASH sets, native AudioTrackList) ───
+// Preferred language is remembered and applied to every new source.
+function _setAudioTrack(i, remember = true) {
+  player.setAudioTrack(i);
+  const lang = player.audioTracks[i]?.lang;
+  if (remember && lang) localStorage.setItem('xstream_audio_lang', lang);
+  _updateAudioBtn();
+}
+
+function _applyAudioPref() {
+  const pref   = localStorage.getItem('xstream_audio_lang');
+  const tracks = player.audioTracks;
+  if (pref && tracks.length > 1) {
+    const base = pref.split('-')[0].toLowerCase();
+    const i = tracks.findIndex(t => t.lang.toLowerCase() === pref.toLowerCase());
+    const j = i >= 0 ? i : tracks.findIndex(t => t.lang.split('-')[0].toLowerCase() === base);
+    if (j >= 0 && !tracks[j].active) _setAudioTrack(j, false);
+  }
+  _updateAudioBtn();
+}
+
+function _renderAudioMenu() {
+  renderMenu(audioMenu, [
+    { head: 'Audio' },
+    ...player.audioTracks.map((t, i) => ({
+      label: t.name,
+      hint: t.lang,
+      active: t.active,
+      onClick: () => { _setAudioTrack(i); _renderAudioMenu(); },
+    })),
+  ]);
+}
+
+function _updateAudioBtn() {
+  audioBtn.parentElement.classList.toggle('hidden', player.audioTracks.length < 2);
+}
+
 // ─── Play/Pause icon swap ─────────────────────────────────────────────────
 function _setPlayIcon(isPaused) {
   playPauseBtn.querySelector('.icon-play').classList.toggle('hidden', !isPaused);
@@ -462,12 +930,73 @@ function clearStats() {
   statsBody.innerHTML = '';
 }
 
-// Build real-time stats rows from video element + HLS.js APIs
+function _setStatsTab(tab) {
+  statsTab = tab;
+  statsPanel.querySelectorAll('.stats-tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tab));
+  statsBody.hidden    = tab !== 'live';
+  statsGraphs.hidden  = tab !== 'live';
+  statsSession.hidden = tab !== 'session';
+  updateStats();
+}
+
+// Redraw the open tab: graphs + rows (Live) or the recorded session summary
 function updateStats() {
+  if (statsTab === 'session') {
+    renderSession();
+    return;
+  }
+  _renderSparks();
+  statsBody.innerHTML = _statsRows().map(r => {
+    if (r.divider) return `<div class="stat-divider"></div>`;
+    return `
+      <div class="stat-row">
+        <span class="stat-key">${escHtml(r.k)}</span>
+        <span class="stat-val"${r.full ? ` title="${escHtml(r.full)}"` : ''}>${escHtml(String(r.v))}</span>
+      </div>`;
+  }).join('');
+}
+
+function _renderSparks() {
+  const samples = (getSession()?.samples || []).slice(-SPARK_SECONDS - 1);
+  const dropped = samples.slice(1).map((s, i) => {
+    const prev = samples[i];
+    const frames = s.totalFrames - prev.totalFrames;
+    return frames > 0 ? (s.droppedFrames - prev.droppedFrames) / frames * 100 : null;
+  });
+
+  Object.entries(SPARKS).forEach(([key, g]) => {
+    const values = g.get ? samples.slice(1).map(g.get) : dropped;
+    const latest = values.filter(v => v != null && isFinite(v)).pop();
+    statsGraphs.querySelector(`[data-spark-val="${key}"]`).textContent = latest != null ? g.fmt(latest) : '–';
+    drawSparkline(statsGraphs.querySelector(`[data-spark="${key}"]`), values, { color: g.color, max: g.max });
+  });
+}
+
+// Plain-text snapshot of everything on the Live tab, for bug reports
+export function copyStats() {
+  const lines = [
+    `X Stream & Play — stats snapshot ${new Date().toISOString()}`,
+    `Title: ${player.source?.title || '–'}`,
+    `URL: ${player.source?.url || '–'}`,
+    `User agent: ${navigator.userAgent}`,
+    '',
+    ..._statsRows().map(r => r.divider ? '' : `${r.k}: ${r.full || r.v}`),
+  ];
+  navigator.clipboard.writeText(lines.join('\n')).then(
+    () => hooks.onNotice?.('Stats copied to the clipboard.', 'success'),
+    () => hooks.onNotice?.('Could not access the clipboard.', 'error'),
+  );
+}
+
+// Real-time stats rows from the video element + HLS.js / DASH APIs.
+// Rows: { k, v, full? } (full: untruncated value for the tooltip and copy)
+// or { divider: true }.
+function _statsRows() {
   const rows = [];
 
   // ── Provider (static) ─────────────────────────────────────────
   rows.push({ k: 'Provider', v: 'X Stream & Play' });
+  if (player.source?.offline) rows.push({ k: 'Source', v: 'Offline copy' });
   rows.push({ divider: true });
 
   // ── Resolution ────────────────────────────────────────────────
@@ -484,12 +1013,28 @@ function updateStats() {
   }
 
   // ── Current time / duration ───────────────────────────────────
-  if (video.duration) {
-    rows.push({ k: 'Time', v: `${_fmt(video.currentTime)} / ${_fmt(video.duration)}` });
+  if (player.live) {
+    const range = player.timeRange();
+    if (range) rows.push({ k: 'DVR Window', v: fmtTime(range.end - range.start) });
+  } else if (video.duration) {
+    rows.push({ k: 'Time', v: `${fmtTime(video.currentTime)} / ${fmtTime(video.duration)}` });
+  }
+
+  // ── Live latency (distance to the live edge) ──────────────────
+  if (player.live) {
+    const lat = player.liveLatency();
+    const target = player.hls?.targetLatency;
+    if (lat != null) {
+      rows.push({
+        k: 'Live Latency',
+        v: `${lat.toFixed(1)} s` + (target ? ` (target ${target.toFixed(1)} s)` : ''),
+      });
+    }
+    rows.push({ k: 'Low Latency', v: player.hls && player.lowLatency ? 'LL-HLS on' : 'Off' });
   }
 
   // ── Buffer health (seconds ahead) ────────────────────────────
-  const bufferHealth = _getBufferAhead();
+  const bufferHealth = player.bufferAhead();
   if (bufferHealth !== null) {
     rows.push({ k: 'Buffer Health', v: `${bufferHealth.toFixed(1)} s` });
   }
@@ -506,17 +1051,23 @@ function updateStats() {
     }
   }
 
-  // ── HLS-specific stats from HLS.js ────────────────────────────
-  if (hlsInstance) {
+  // ── Adaptive stream stats (HLS.js or the DASH pipeline) ──────
+  const abr = player.abr;
+  if (abr) {
     rows.push({ divider: true });
 
-    const level = hlsInstance.levels?.[hlsInstance.currentLevel];
+    rows.push({ k: 'ABR Mode', v: abr.autoLevelEnabled ? 'Auto' : 'Manual' });
+    if (abr.autoLevelCapping >= 0 && abr.levels?.[abr.autoLevelCapping]) {
+      rows.push({ k: 'Level Cap', v: _levelName(abr.levels[abr.autoLevelCapping]) });
+    }
+
+    const level = player.level;
     if (level) {
       if (level.bitrate) {
-        rows.push({ k: 'Bitrate',    v: _kbps(level.bitrate) });
+        rows.push({ k: 'Bitrate',    v: fmtBitrate(level.bitrate) });
       }
       if (level.width && level.height) {
-        rows.push({ k: 'HLS Level',  v: `${level.width}×${level.height}` });
+        rows.push({ k: player.hls ? 'HLS Level' : 'DASH Level', v: `${level.width}×${level.height}` });
       }
       if (level.audioCodec) {
         rows.push({ k: 'Audio Codec', v: level.audioCodec });
@@ -526,19 +1077,43 @@ function updateStats() {
       }
     }
 
-    // HLS bandwidth estimate
-    const bw = hlsInstance.bandwidthEstimate;
+    // Bandwidth estimate
+    const bw = abr.bandwidthEstimate;
     if (bw && isFinite(bw)) {
-      rows.push({ k: 'Est. Bandwidth', v: _kbps(bw) });
+      rows.push({ k: 'Est. Bandwidth', v: fmtBitrate(bw) });
     }
 
     // Loader stats from latest fragment
     try {
-      const fragStats = hlsInstance.mainForwardBufferInfo;
+      const fragStats = player.hls?.mainForwardBufferInfo;
       if (fragStats && fragStats.len != null) {
         rows.push({ k: 'Frag Buffer', v: `${fragStats.len.toFixed(1)} s` });
       }
     } catch (_) {}
+
+    // Last media segment: download time, size and URL
+    const frag = player.lastFrag;
+    if (frag) {
+      rows.push({ k: 'Segment Time', v: `${Math.round(frag.ms)} ms` });
+      if (frag.bytes) rows.push({ k: 'Segment Size', v: fmtSize(frag.bytes) });
+      rows.push({ k: 'Segment URL', v: _basename(frag.url), full: frag.url });
+    }
+  }
+
+  // ── Selected tracks ───────────────────────────────────────────
+  const audio = player.audioTracks;
+  if (audio.length > 1 || activeSubtitleLabel()) rows.push({ divider: true });
+  if (audio.length > 1) {
+    rows.push({ k: 'Audio Track', v: audio.find(t => t.active)?.name || '–' });
+  }
+  rows.push({ k: 'Subtitles', v: activeSubtitleLabel() || 'Off' });
+
+  // ── Recovery state ────────────────────────────────────────────
+  if (player.source?.kind === 'hls' && (player.nativeHls || player.engineSwitched)) {
+    rows.push({ k: 'HLS Engine', v: player.nativeHls ? 'Native' : 'HLS.js' });
+  }
+  if (player.retries) {
+    rows.push({ k: 'Retries', v: `${player.retries} / ${MAX_RETRIES}` });
   }
 
   // ── Network downlink (if browser exposes it) ──────────────────
@@ -553,27 +1128,7 @@ function updateStats() {
     }
   }
 
-  // ── Render rows ───────────────────────────────────────────────
-  statsBody.innerHTML = rows.map(r => {
-    if (r.divider) return `<div class="stat-divider"></div>`;
-    return `
-      <div class="stat-row">
-        <span class="stat-key">${escHtml(r.k)}</span>
-        <span class="stat-val">${escHtml(String(r.v))}</span>
-      </div>`;
-  }).join('');
-}
-
-// ─── Buffer ahead helper ──────────────────────────────────────────────────
-function _getBufferAhead() {
-  if (!video.buffered || !video.buffered.length) return null;
-  const ct = video.currentTime;
-  for (let i = 0; i < video.buffered.length; i++) {
-    if (video.buffered.start(i) <= ct && ct <= video.buffered.end(i)) {
-      return video.buffered.end(i) - ct;
-    }
-  }
-  return null;
+  return rows;
 }
 
 // ─── Spinner / Error helpers ──────────────────────────────────────────────
@@ -589,32 +1144,10 @@ export function showError(msg) {
 function hideError() { errorOverlay.classList.remove('active'); }
 
 // ─── Utility ──────────────────────────────────────────────────────────────
-function _fmt(sec) {
-  if (!isFinite(sec)) return '–';
-  const h = Math.floor(sec / 3600);
-  const m = Math.floor((sec % 3600) / 60);
-  const s = Math.floor(sec % 60);
-  if (h > 0) return `${h}:${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
-  return `${m}:${String(s).padStart(2,'0')}`;
-}
-
-function _kbps(bps) {
-  if (bps >= 1_000_000) return `${(bps / 1_000_000).toFixed(2)} Mbps`;
-  if (bps >= 1_000)     return `${(bps / 1_000).toFixed(0)} kbps`;
-  return `${bps} bps`;
-}
-
-function _getExt(url) {
+function _basename(url) {
   try {
-    const path = new URL(url).pathname;
-    return path.split('.').pop().toLowerCase().split('?')[0];
-  } catch(_) {
-    return url.split('.').pop().toLowerCase().split('?')[0];
+    return new URL(url).pathname.split('/').pop() || url;
+  } catch (_) {
+    return url;
   }
 }
-
-function escHtml(s) {
-  return String(s)
-    .replace(/&/g,'&amp;').replace(/</g,'&lt;')
-    .replace(/>/g,'&gt;').replace(/"/g,'&quot;');
-}
@@ -0,0 +1,311 @@
+/**
+ * playlists.js — X Stream & Play
+ * Play queue (next/previous, shuffle, repeat one/all, auto-advance) and
+ * named playlists built from library entries. Both persist to localStorage.
+ * The library injects its entries and play action through initPlaylists().
+ */
+
+import { escHtml } from './format.js';
+
+// ── State ──────────────────────────────────────────────────────────────────
+// queue.items: library entry ids in play order; queue.original keeps the
+// unshuffled order so shuffle can be switched off again.
+let queue = Object.assign(
+  { items: [], index: -1, shuffle: false, repeat: 'off', original: null },
+  JSON.parse(localStorage.getItem('xstream_queue') || '{}')
+);
+let playlists = JSON.parse(localStorage.getItem('xstream_playlists') || '[]');
+
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+// Injected by library.js
+let deps = { getVideos: () => [], play: () => {}, toast: () => {} };
+
+// ── DOM Refs ───────────────────────────────────────────────────────────────
+let queueList, playlistList, shuffleBtn, repeatBtn, saveQueueBtn, clearQueueBtn, queueCount;
+
+// ─────────────────────────────────────────────────────────────────────────
+export function initPlaylists(d) {
+  deps = { ...deps, ...d };
+
+  queueList     = document.getElementById('queueList');
+  playlistList  = document.getElementById('playlistList');
+  shuffleBtn    = document.getElementById('shuffleBtn');
+  repeatBtn     = document.getElementById('repeatBtn');
+  saveQueueBtn  = document.getElementById('saveQueueBtn');
+  clearQueueBtn = document.getElementById('clearQueueBtn');
+  queueCount    = document.getElementById('queueCount');
+
+  shuffleBtn.addEventListener('click', toggleShuffle);
+  repeatBtn.addEventListener('click', cycleRepeat);
+  saveQueueBtn.addEventListener('click', saveQueueAsPlaylist);
+  clearQueueBtn.addEventListener('click', clearQueue);
+
+  // Drop ids of entries that were removed while the page was closed
+  forget(null);
+  renderQueue();
+}
+
+// ─── Queue navigation ──────────────────────────────────────────────────────
+// Called whenever an entry starts playing. Keeps the queue in sync with
+// direct plays from the library: an entry outside the queue replaces it with
+// the whole library, starting at that entry.
+export function queueSelect(id) {
+  let idx = queue.items.indexOf(id);
+  if (idx < 0) {
+    queue.items    = deps.getVideos().map(v => v.id);
+    queue.original = null;
+    idx = queue.items.indexOf(id);
+    if (queue.shuffle) _shuffleUpcoming(idx);
+  }
+  queue.index = idx;
+  _save();
+  renderQueue();
+}
+
+export function playNext() {
+  if (!queue.items.length) return false;
+  let next = queue.index + 1;
+  if (next >= queue.items.length) {
+    if (queue.repeat !== 'all') return false;
+    next = 0;
+  }
+  _playAt(next);
+  return true;
+}
+
+export function playPrev() {
+  if (!queue.items.length) return false;
+  let prev = queue.index - 1;
+  if (prev < 0) {
+    if (queue.repeat !== 'all') return false;
+    prev = queue.items.length - 1;
+  }
+  _playAt(prev);
+  return true;
+}
+
+// Auto-advance when the current item finishes
+export function onQueueEnded() {
+  if (queue.repeat === 'one' && queue.index >= 0) {
+    _playAt(queue.index);
+    return;
+  }
+  playNext();
+}
+
+function _playAt(idx) {
+  queue.index = idx;
+  _save();
+  deps.play(queue.items[idx]);
+}
+
+// ─── Queue editing ─────────────────────────────────────────────────────────
+export function enqueue(id) {
+  if (queue.items.includes(id)) {
+    deps.toast('Already in the queue.');
+    return;
+  }
+  queue.items.push(id);
+  if (queue.original) queue.original.push(id);
+  _save();
+  renderQueue();
+  deps.toast('Added to queue.', 'success');
+}
+
+function dequeue(idx) {
+  const [id] = queue.items.splice(idx, 1);
+  if (queue.original) queue.original = queue.original.filter(x => x !== id);
+  // Removing the current item steps back one, as forget() does, so "next"
+  // plays the item that moved up into its slot
+  if (idx <= queue.index) queue.index--;
+  _save();
+  renderQueue();
+}
+
+function clearQueue() {
+  queue.items    = [];
+  queue.original = null;
+  queue.index    = -1;
+  _save();
+  renderQueue();
+}
+
+// Remove a deleted library entry everywhere (null = prune all unknown ids)
+export function forget(id) {
+  const known = new Set(deps.getVideos().map(v => v.id));
+  const keep  = x => x !== id && known.has(x);
+
+  const current = queue.items[queue.index];
+  const before  = queue.items.slice(0, Math.max(queue.index, 0)).filter(keep).length;
+  queue.items = queue.items.filter(keep);
+  if (queue.original) queue.original = queue.original.filter(keep);
+  // A removed current item leaves the index just before its old slot, so
+  // "next" plays the item that moved up into it
+  queue.index = current && !keep(current) ? before - 1 : queue.items.indexOf(current);
+
+  playlists.forEach(p => { p.items = p.items.filter(keep); });
+  _save();
+  renderQueue();
+}
+
+// ─── Shuffle / repeat ──────────────────────────────────────────────────────
+function toggleShuffle() {
+  queue.shuffle = !queue.shuffle;
+  if (queue.shuffle) {
+    queue.original = [...queue.items];
+    _shuffleUpcoming(queue.index);
+  } else if (queue.original) {
+    const current = queue.items[queue.index];
+    queue.items    = queue.original;
+    queue.original = null;
+    queue.index    = queue.items.indexOf(current);
+  }
+  _save();
+  renderQueue();
+}
+
+// Fisher–Yates over everything after the current item
+function _shuffleUpcoming(from) {
+  const items = queue.items;
+  for (let i = items.length - 1; i > from + 1; i--) {
+    const j = from + 1 + Math.floor(Math.random() * (i - from));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+}
+
+function cycleRepeat() {
+  const i = REPEAT_MODES.indexOf(queue.repeat);
+  queue.repeat = REPEAT_MODES[(i + 1) % REPEAT_MODES.length];
+  _save();
+  renderQueue();
+}
+
+// ─── Playlists ─────────────────────────────────────────────────────────────
+function saveQueueAsPlaylist() {
+  if (!queue.items.length) { deps.toast('The queue is empty.', 'error'); return; }
+  const name = (prompt('Playlist name:', `Playlist ${playlists.length + 1}`) || '').trim();
+  if (!name) return;
+
+  playlists.push({ id: Date.now(), name, items: [...(queue.original || queue.items)], createdAt: Date.now() });
+  _save();
+  renderQueue();
+  deps.toast('Saved playlist: ' + name, 'success');
+}
+
+function playPlaylist(pid) {
+  const p = playlists.find(p => p.id === pid);
+  if (!p || !p.items.length) return;
+  queue.items    = [...p.items];
+  queue.original = null;
+  if (queue.shuffle) {
+    queue.original = [...p.items];
+    _shuffleUpcoming(-1);
+  }
+  _playAt(0);
+  renderQueue();
+}
+
+function appendPlaylist(pid) {
+  const p = playlists.find(p => p.id === pid);
+  if (!p) return;
+  const fresh = p.items.filter(id => !queue.items.includes(id));
+  queue.items.push(...fresh);
+  if (queue.original) queue.original.push(...fresh);
+  _save();
+  renderQueue();
+  deps.toast(`Queued ${fresh.length} from ${p.name}.`, 'success');
+}
+
+export function getPlaylists() {
+  return playlists.map(p => ({ ...p, items: [...p.items] }));
+}
+
+// Add playlists from a backup. idMap translates exported entry ids to the
+// ids the entries got on import; unknown items are dropped. Returns the
+// number of playlists added.
+export function importPlaylists(list, idMap) {
+  let added = 0;
+  (list || []).forEach(p => {
+    const items = p.items.map(id => idMap[id]).filter(id => id != null);
+    if (!items.length) return;
+    playlists.push({
+      id: Date.now() + added,
+      name: String(p.name || `Playlist ${playlists.length + 1}`),
+      items: [...new Set(items)],
+      createdAt: p.createdAt || Date.now(),
+    });
+    added++;
+  });
+  if (added) {
+    _save();
+    renderQueue();
+  }
+  return added;
+}
+
+function renamePlaylist(pid) {
+  const p = playlists.find(p => p.id === pid);
+  if (!p) return;
+  const name = (prompt('Rename playlist:', p.name) || '').trim();
+  if (!name) return;
+  p.name = name;
+  _save();
+  renderQueue();
+}
+
+function deletePlaylist(pid) {
+  const p = playlists.find(p => p.id === pid);
+  if (!p || !confirm(`Delete playlist "${p.name}"?`)) return;
+  playlists = playlists.filter(x => x.id !== pid);
+  _save();
+  renderQueue();
+}
+
+// ─── Render ────────────────────────────────────────────────────────────────
+export function renderQueue() {
+  if (!queueList) return;
+  const byId = new Map(deps.getVideos().map(v => [v.id, v]));
+
+  queueCount.textContent = queue.items.length ? `${queue.items.length}` : '';
+  shuffleBtn.classList.toggle('active', queue.shuffle);
+  repeatBtn.classList.toggle('active', queue.repeat !== 'off');
+  repeatBtn.textContent = { off: 'Repeat off', all: 'Repeat all', one: 'Repeat one' }[queue.repeat];
+
+  queueList.innerHTML = queue.items.length
+    ? queue.items.map((id, i) => {
+        const v = byId.get(id);
+        if (!v) return '';
+        return `
+        <li class="queue-item${i === queue.index ? ' current' : ''}">
+          <span class="queue-pos">${i === queue.index ? '▶' : i + 1}</span>
+          <span class="queue-title" onclick="window.__xQueue.jump(${i})" title="${escHtml(v.title)}">${escHtml(v.title)}</span>
+          <button class="queue-btn" onclick="window.__xQueue.remove(${i})" title="Remove from queue">✕</button>
+        </li>`;
+      }).join('')
+    : '<li class="queue-empty">Queue is empty — use ＋ on a card or play any video.</li>';
+
+  playlistList.innerHTML = playlists.length
+    ? playlists.map(p => `
+        <li class="queue-item">
+          <span class="queue-title" onclick="window.__xQueue.playList(${p.id})" title="Play ${escHtml(p.name)}">${escHtml(p.name)}</span>
+          <span class="queue-pos">${p.items.length}</span>
+          <button class="queue-btn" onclick="window.__xQueue.appendList(${p.id})" title="Add to queue">＋</button>
+          <button class="queue-btn" onclick="window.__xQueue.renameList(${p.id})" title="Rename">✎</button>
+          <button class="queue-btn" onclick="window.__xQueue.delList(${p.id})" title="Delete playlist">✕</button>
+        </li>`).join('')
+    : '<li class="queue-empty">No playlists yet — save the queue to create one.</li>';
+
+  // Expose queue actions to inline onclick handlers
+  window.__xQueue = {
+    jump: _playAt, remove: dequeue,
+    playList: playPlaylist, appendList: appendPlaylist,
+    renameList: renamePlaylist, delList: deletePlaylist,
+  };
+}
+
+// ─── Persistence ──────────────────────────────────────────────────────────
+function _save() {
+  localStorage.setItem('xstream_queue',     JSON.stringify(queue));
+  localStorage.setItem('xstream_playlists', JSON.stringify(playlists));
+}
@@ -0,0 +1,284 @@
+/**
+ * qoe.js — X Stream & Play
+ * Playback session recorder (quality of experience). Each loaded source gets
+ * a session that logs startup time, rebuffers and their durations, quality
+ * level switches, errors and seeks, plus a once-a-second sample of buffer,
+ * bandwidth estimate, bitrate and dropped frames taken through a probe
+ * supplied by player.js. The stats panel shows a summary and a timeline
+ * chart; sessions export as JSON or CSV for comparing CDNs and encodes.
+ */
+
+import { downloadFile } from './library-io.js';
+import { escHtml, fmtTime, fmtBitrate } from './format.js';
+
+const SAMPLE_MS   = 1000;
+const MAX_SAMPLES = 4 * 3600;   // Four hours at one sample per second
+const MAX_EVENTS  = 2000;
+
+// ── State ──────────────────────────────────────────────────────────────────
+let session     = null;   // See startSession() for the shape
+let probe       = null;   // () → sample fields, supplied by player.js
+let sampleTimer = null;
+let stallSince  = null;   // performance.now() when the current rebuffer began
+let t0          = 0;      // performance.now() at session start
+
+// ── DOM Refs ───────────────────────────────────────────────────────────────
+let summaryEl, chart;
+
+// ─────────────────────────────────────────────────────────────────────────
+export function initQoe({ summary, canvas, exportJson, exportCsv }) {
+  summaryEl = summary;
+  chart     = canvas;
+  exportJson.addEventListener('click', () => exportSession('json'));
+  exportCsv.addEventListener('click',  () => exportSession('csv'));
+}
+
+// ─── Recording ────────────────────────────────────────────────────────────
+// Called for every newly loaded source; the previous session is closed.
+// info: { url, title, kind } — stored as-is in the export.
+export function startSession(info, probeFn) {
+  endSession();
+  t0     = performance.now();
+  probe  = probeFn;
+  session = {
+    ...info,
+    startedAt:   new Date().toISOString(),
+    endedAt:     null,
+    startupMs:   null,
+    rebuffers:   0,
+    rebufferMs:  0,
+    switches:    0,
+    errors:      0,
+    events:      [],   // [{ t, type, ...detail }] — t in seconds since start
+    samples:     [],   // [{ t, position, paused, bufferAhead, bandwidth, bitrate, height, droppedFrames, totalFrames }]
+  };
+  sampleTimer = setInterval(_sample, SAMPLE_MS);
+}
+
+export function endSession() {
+  clearInterval(sampleTimer);
+  sampleTimer = null;
+  if (!session || session.endedAt) return;
+  if (stallSince != null) _endStall();
+  session.endedAt = new Date().toISOString();
+}
+
+// Player events:
+//   'waiting' { seeking }   'playing'   'seek' { to }   'ended'
+//   'level' { height, bitrate }   'error' { message, fatal }
+export function recordEvent(type, detail = {}) {
+  if (!session || session.endedAt) return;
+  switch (type) {
+    case 'playing':
+      if (session.startupMs == null) {
+        session.startupMs = Math.round(performance.now() - t0);
+        _push('startup', { ms: session.startupMs });
+      }
+      if (stallSince != null) _endStall();
+      return;
+    case 'waiting':
+      // Waiting for a seek target is not a rebuffer; neither is startup
+      if (session.startupMs == null || detail.seeking || stallSince != null) return;
+      stallSince = performance.now();
+      _push('rebuffer-start');
+      return;
+    case 'level':
+      session.switches++;
+      break;
+    case 'error':
+      session.errors++;
+      break;
+  }
+  _push(type, detail);
+}
+
+export function getSession() {
+  return session;
+}
+
+function _endStall() {
+  const ms = Math.round(performance.now() - stallSince);
+  stallSince = null;
+  session.rebuffers++;
+  session.rebufferMs += ms;
+  _push('rebuffer-end', { ms });
+}
+
+function _push(type, detail = {}) {
+  session.events.push({ t: _now(), type, ...detail });
+  if (session.events.length > MAX_EVENTS) session.events.shift();
+}
+
+function _sample() {
+  if (!session || !probe) return;
+  session.samples.push({ t: _now(), ...probe() });
+  if (session.samples.length > MAX_SAMPLES) session.samples.shift();
+}
+
+function _now() {
+  return +((performance.now() - t0) / 1000).toFixed(2);
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────
+export function summarize(s = session) {
+  if (!s) return null;
+  const playing  = s.samples.filter(x => !x.paused);
+  const watchSec = playing.length * SAMPLE_MS / 1000;
+  const stallMs  = s.rebufferMs + (s === session && stallSince != null ? performance.now() - stallSince : 0);
+  const last     = s.samples[s.samples.length - 1];
+  const bitrates = playing.map(x => x.bitrate).filter(Boolean);
+  const bws      = s.samples.map(x => x.bandwidth).filter(Boolean);
+  return {
+    startupSec:     s.startupMs != null ? s.startupMs / 1000 : null,
+    watchSec,
+    rebuffers:      s.rebuffers + (s === session && stallSince != null ? 1 : 0),
+    rebufferSec:    stallMs / 1000,
+    rebufferRatio:  watchSec + stallMs / 1000 > 0 ? stallMs / 1000 / (watchSec + stallMs / 1000) : 0,
+    switches:       s.switches,
+    avgBitrate:     bitrates.length ? _mean(bitrates) : null,
+    avgBandwidth:   bws.length ? _mean(bws) : null,
+    minBandwidth:   bws.length ? Math.min(...bws) : null,
+    droppedFrames:  last?.droppedFrames ?? null,
+    totalFrames:    last?.totalFrames ?? null,
+    errors:         s.errors,
+  };
+}
+
+// ─── Render (stats panel, Session tab) ────────────────────────────────────
+export function renderSession() {
+  if (!summaryEl) return;
+  const sum = summarize();
+  if (!sum) {
+    summaryEl.innerHTML = '<div class="stat-row"><span class="stat-key">No session yet — play something.</span></div>';
+    _clearChart();
+    return;
+  }
+
+  const rows = [
+    ['Startup',        sum.startupSec != null ? `${sum.startupSec.toFixed(2)} s` : 'waiting…'],
+    ['Watched',        fmtTime(sum.watchSec)],
+    ['Rebuffers',      `${sum.rebuffers} · ${sum.rebufferSec.toFixed(1)} s (${(sum.rebufferRatio * 100).toFixed(1)}%)`],
+    ['Level Switches', sum.switches],
+    ['Avg Bitrate',    sum.avgBitrate ? fmtBitrate(sum.avgBitrate) : '–'],
+    ['Avg Bandwidth',  sum.avgBandwidth ? `${fmtBitrate(sum.avgBandwidth)} (min ${fmtBitrate(sum.minBandwidth)})` : '–'],
+    ['Dropped Frames', sum.totalFrames ? `${sum.droppedFrames} / ${sum.totalFrames}` : '–'],
+    ['Errors',         sum.errors],
+  ];
+  summaryEl.innerHTML = rows.map(([k, v]) => `
+    <div class="stat-row">
+      <span class="stat-key">${escHtml(k)}</span>
+      <span class="stat-val">${escHtml(String(v))}</span>
+    </div>`).join('');
+  _drawChart();
+}
+
+// Timeline: buffer ahead (accent) and bandwidth estimate (blue) as lines,
+// rebuffers as red bands, level switches as ticks along the top and errors
+// as red ticks along the bottom.
+function _drawChart() {
+  const dpr = window.devicePixelRatio || 1;
+  const w = chart.clientWidth, h = chart.clientHeight;
+  if (!w || !h) return;
+  chart.width  = w * dpr;
+  chart.height = h * dpr;
+  const ctx = chart.getContext('2d');
+  ctx.scale(dpr, dpr);
+  ctx.clearRect(0, 0, w, h);
+
+  const { samples, events } = session;
+  const end  = session.endedAt ? Math.max(samples.at(-1)?.t || 0, events.at(-1)?.t || 0) : _now();
+  const span = Math.max(10, end);
+  const x = t => (t / span) * w;
+
+  // Rebuffer bands (an open one runs to "now")
+  ctx.fillStyle = 'rgba(224,82,82,0.25)';
+  let from = null;
+  events.forEach(e => {
+    if (e.type === 'rebuffer-start') from = e.t;
+    if (e.type === 'rebuffer-end' && from != null) {
+      ctx.fillRect(x(from), 0, Math.max(1, x(e.t) - x(from)), h);
+      from = null;
+    }
+  });
+  if (from != null) ctx.fillRect(x(from), 0, w - x(from), h);
+
+  const maxBuf = Math.max(10, ...samples.map(s => s.bufferAhead || 0));
+  const maxBw  = Math.max(1, ...samples.map(s => s.bandwidth || 0));
+  _line(ctx, samples, x, s => s.bufferAhead, maxBuf, h, '#e8c97b');
+  _line(ctx, samples, x, s => s.bandwidth, maxBw, h, '#6fa8ff');
+
+  events.forEach(e => {
+    if (e.type === 'level') {
+      ctx.fillStyle = 'rgba(255,255,255,0.7)';
+      ctx.fillRect(x(e.t), 0, 1, 6);
+    } else if (e.type === 'error') {
+      ctx.fillStyle = '#e05252';
+      ctx.fillRect(x(e.t) - 1, h - 6, 2, 6);
+    }
+  });
+}
+
+function _line(ctx, samples, x, get, max, h, color) {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.25;
+  ctx.beginPath();
+  let started = false;
+  samples.forEach(s => {
+    const v = get(s);
+    if (v == null || !isFinite(v)) { started = false; return; }
+    const y = h - 2 - (v / max) * (h - 10);
+    if (started) ctx.lineTo(x(s.t), y);
+    else ctx.moveTo(x(s.t), y);
+    started = true;
+  });
+  ctx.stroke();
+}
+
+function _clearChart() {
+  chart.getContext('2d').clearRect(0, 0, chart.width, chart.height);
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────
+export function exportSession(format) {
+  if (!session) return;
+  const name = `xstream-qoe-${_slug(session.title)}-${session.startedAt.replace(/[:.]/g, '-').slice(0, 19)}`;
+  if (format === 'csv') {
+    downloadFile(`${name}.csv`, buildCsv(session), 'text/csv');
+  } else {
+    downloadFile(`${name}.json`, JSON.stringify({ ...session, summary: summarize() }, null, 2), 'application/json');
+  }
+}
+
+// One row per sample and per event, ordered by time
+export function buildCsv(s) {
+  const cols = ['t', 'type', 'position', 'buffer_ahead_s', 'bandwidth_bps', 'bitrate_bps',
+    'height', 'dropped_frames', 'total_frames', 'detail'];
+  const rows = [
+    ...s.samples.map(x => [x.t, 'sample', x.position, x.bufferAhead, x.bandwidth, x.bitrate,
+      x.height, x.droppedFrames, x.totalFrames, x.paused ? 'paused' : '']),
+    ...s.events.map(({ t, type, ...detail }) => [t, type, '', '', '', detail.bitrate ?? '',
+      detail.height ?? '', '', '', _detailText(detail)]),
+  ].sort((a, b) => a[0] - b[0]);
+  return [cols, ...rows].map(r => r.map(_csvCell).join(',')).join('\n') + '\n';
+}
+
+function _detailText(d) {
+  return Object.entries(d)
+    .filter(([k]) => k !== 'bitrate' && k !== 'height')
+    .map(([k, v]) => `${k}=${v}`).join(' ');
+}
+
+function _csvCell(v) {
+  if (v == null) return '';
+  const s = typeof v === 'number' ? String(+v.toFixed(3)) : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────
+function _mean(list) {
+  return list.reduce((a, b) => a + b, 0) / list.length;
+}
+
+function _slug(s) {
+  return String(s || 'session').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'session';
+}
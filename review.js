@@ -0,0 +1,180 @@
+/**
+ * review.js — X Stream & Play
+ * Review tools: an A-B repeat range drawn on the scrubber and looped until
+ * cleared, and frame-by-frame stepping. The frame rate is measured with
+ * requestVideoFrameCallback where available, falling back to the rate the
+ * stream advertises (hint from player.js) and finally to 30 fps.
+ */
+
+import { fmtTime } from './format.js';
+
+const FALLBACK_FPS = 30;
+const FPS_SAMPLES  = 30;
+
+// ── State ──────────────────────────────────────────────────────────────────
+let loopA = null;          // Seconds, or null
+let loopB = null;
+let mediaTime = null;      // Presentation time of the frame on screen (rVFC)
+let lastFrame = null;      // { mediaTime, presentedFrames } of the previous callback
+let samples   = [];        // Recent per-frame durations in seconds
+let measured  = 0;         // fps from samples (0 = not yet known)
+
+let deps = { notify: () => {}, fpsHint: () => 0, onChange: () => {} };
+
+// ── DOM Refs ───────────────────────────────────────────────────────────────
+let video, rangeEl;
+
+const hasRvfc = typeof HTMLVideoElement !== 'undefined'
+  && 'requestVideoFrameCallback' in HTMLVideoElement.prototype;
+
+// ─────────────────────────────────────────────────────────────────────────
+export function initReview(d) {
+  video   = d.video;
+  rangeEl = d.range;
+  deps = { ...deps, ...d };
+
+  video.addEventListener('timeupdate', _checkLoop);
+  video.addEventListener('durationchange', _renderRange);
+  if (hasRvfc) video.requestVideoFrameCallback(_onFrame);
+}
+
+// Called on every new source
+export function resetReview() {
+  loopA = loopB = null;
+  mediaTime = lastFrame = null;
+  samples  = [];
+  measured = 0;
+  _renderRange();
+}
+
+// ─── A-B loop ──────────────────────────────────────────────────────────────
+export function getLoop() {
+  return { a: loopA, b: loopB };
+}
+
+// Keyboard "A": set A, then B, then clear
+export function cycleLoop() {
+  if (loopA == null) setLoopPoint('a');
+  else if (loopB == null) setLoopPoint('b');
+  else clearLoop();
+}
+
+export function setLoopPoint(which, time = video.currentTime) {
+  if (!isFinite(video.duration)) { deps.notify('A-B loop needs a video with a known duration.'); return; }
+  if (which === 'a') loopA = time;
+  else loopB = time;
+
+  // Keep A before B
+  if (loopA != null && loopB != null && loopB < loopA) [loopA, loopB] = [loopB, loopA];
+  if (loopA != null && loopB != null && loopB - loopA < 0.2) {
+    loopB = null;
+    deps.notify('Loop range is too short.', 'error');
+  } else if (loopA != null && loopB != null) {
+    deps.notify(`Looping ${fmtTime(loopA, 1)} – ${fmtTime(loopB, 1)}.`, 'success');
+    video.currentTime = loopA;
+  }
+  _renderRange();
+  deps.onChange();
+}
+
+// Both points at once (Shift+drag on the scrubber)
+export function setLoopRange(a, b) {
+  loopA = null;
+  loopB = null;
+  setLoopPoint('a', Math.min(a, b));
+  setLoopPoint('b', Math.max(a, b));
+}
+
+export function clearLoop() {
+  if (loopA == null && loopB == null) return;
+  loopA = loopB = null;
+  _renderRange();
+  deps.onChange();
+  deps.notify('A-B loop cleared.');
+}
+
+function _checkLoop() {
+  if (loopA == null || loopB == null) return;
+  if (video.currentTime >= loopB || video.currentTime < loopA - 0.5) {
+    video.currentTime = loopA;
+  }
+}
+
+function _renderRange() {
+  const d = video.duration;
+  if (loopA == null || !isFinite(d) || !d) {
+    rangeEl.classList.remove('active', 'open');
+    return;
+  }
+  const end = loopB ?? loopA;
+  rangeEl.style.left  = (loopA / d * 100) + '%';
+  rangeEl.style.width = ((end - loopA) / d * 100) + '%';
+  rangeEl.classList.add('active');
+  rangeEl.classList.toggle('open', loopB == null);   // Only A set so far
+}
+
+// ─── Frame stepping ────────────────────────────────────────────────────────
+export function frameRate() {
+  return measured || _hintFps() || FALLBACK_FPS;
+}
+
+// Whether frameRate() is measured or advertised rather than the fallback
+export function frameRateKnown() {
+  return !!(measured || _hintFps());
+}
+
+// Keyboard "," / "." — pauses first, then moves one frame
+export function stepFrame(dir) {
+  if (!video.currentSrc) return;
+  if (!video.paused) video.pause();
+
+  const fps   = frameRate();
+  const now   = mediaTime ?? video.currentTime;
+  const frame = Math.round(now * fps);
+  // Aim just inside the target frame so rounding can't land on its neighbour
+  const target = (frame + dir) / fps + 0.1 / fps;
+  video.currentTime = Math.max(0, Math.min(video.duration || 0, target));
+  mediaTime = null;
+}
+
+function _onFrame(_now, meta) {
+  mediaTime = meta.mediaTime;
+  _checkLoop();   // Per-frame check keeps the B point tight
+
+  // Consecutive presented frames while playing at 1× give the frame duration
+  if (lastFrame && meta.presentedFrames === lastFrame.presentedFrames + 1 && video.playbackRate === 1) {
+    const dt = meta.mediaTime - lastFrame.mediaTime;
+    if (dt > 0.004 && dt < 0.2) {
+      samples.push(dt);
+      if (samples.length > FPS_SAMPLES) samples.shift();
+      if (samples.length >= 10) measured = _roundFps(1 / _median(samples));
+    }
+  }
+  lastFrame = { mediaTime: meta.mediaTime, presentedFrames: meta.presentedFrames };
+  video.requestVideoFrameCallback(_onFrame);
+}
+
+function _hintFps() {
+  return _roundFps(_parseFps(deps.fpsHint()));
+}
+
+// "30000/1001", "29.97" or a number → fps
+function _parseFps(v) {
+  if (typeof v === 'number') return v;
+  if (!v) return 0;
+  const [n, d] = String(v).split('/').map(Number);
+  return d ? n / d : n || 0;
+}
+
+// Snap to common rates (23.976, 29.97, 59.94 …) to absorb jitter
+function _roundFps(fps) {
+  if (!fps || !isFinite(fps)) return 0;
+  const common = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60, 120];
+  const near = common.find(c => Math.abs(c - fps) / c < 0.015);
+  return near || Math.round(fps * 100) / 100;
+}
+
+function _median(list) {
+  const s = [...list].sort((a, b) => a - b);
+  return s[s.length >> 1];
+}
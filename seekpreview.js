@@ -0,0 +1,303 @@
+/**
+ * seekpreview.js — X Stream & Play
+ * Tooltip above the scrubber with the hover time and a preview image. Image
+ * sources, in order of preference:
+ *   1. a WebVTT thumbnail track (cues pointing at images / sprite sheets with
+ *      #xywh=) supplied by the user with the entry,
+ *   2. thumbnails advertised by the stream itself (HLS #EXT-X-IMAGE-STREAM-INF
+ *      playlists, DASH thumbnail tile AdaptationSets via dash.js),
+ *   3. frames captured on the fly from a hidden CORS-enabled <video> for
+ *      direct files.
+ * Streams without any of these get the time tooltip only. The chapter under
+ * the pointer is named above the time. On live streams the scrubber spans the
+ * DVR window and the tooltip shows the distance behind the live edge.
+ */
+
+import { chapterAt } from './chapters.js';
+import { fmtTime } from './format.js';
+import { LIVE_EDGE_SLACK } from './player-core.js';
+
+const PREVIEW_W    = 160;
+const FRAME_BUCKETS = 100;   // On-the-fly captures are cached per 1/100th of the duration
+
+// ── State ──────────────────────────────────────────────────────────────────
+let cues     = [];          // [{ start, end, url, x, y, w, h }] sorted by start
+let images   = new Map();   // Sprite / image URL → HTMLImageElement
+let probe    = null;        // Hidden <video> for on-the-fly capture
+let frames   = new Map();   // bucket → canvas
+let seeking  = false;
+let wanted   = -1;          // Bucket the pointer is over
+let shownAt  = -1;          // Ratio currently displayed
+let sourceGen = 0;          // Bumped on every new source to drop stale async work
+
+// ── DOM Refs ───────────────────────────────────────────────────────────────
+let video, bar, area, tip, canvas, timeEl, chapterEl;
+
+// Span the scrubber represents, supplied by player.js: { start, end, live }
+// or null. Defaults to the whole duration.
+let rangeOf = () => {
+  const d = video.duration;
+  return isFinite(d) && d > 0 ? { start: 0, end: d, live: false } : null;
+};
+// Where a live stream's playback would go live; times are shown behind it
+let liveEdgeOf = () => rangeOf()?.end ?? 0;
+
+// ─────────────────────────────────────────────────────────────────────────
+export function initSeekPreview(els) {
+  ({ video, bar, area, tip, canvas, time: timeEl, chapter: chapterEl } = els);
+  if (els.range)    rangeOf    = els.range;
+  if (els.liveEdge) liveEdgeOf = els.liveEdge;
+  canvas.width  = PREVIEW_W;
+  canvas.height = Math.round(PREVIEW_W * 9 / 16);
+}
+
+// Called for every newly loaded source.
+// opts.kind:  'direct' (frame capture allowed), 'hls' or 'dash'
+// opts.track: user-supplied WebVTT thumbnail track URL
+export function setPreviewSource(url, { kind = 'direct', track = null } = {}) {
+  const gen = ++sourceGen;
+  _reset();
+  if (!url) return;
+
+  if (track) {
+    _loadVttTrack(track, gen).catch(() => {
+      if (gen === sourceGen && kind === 'direct') _startProbe(url);
+    });
+    return;
+  }
+  if (kind === 'hls') _loadHlsImageStream(url, gen).catch(() => {});
+  else if (kind === 'direct') _startProbe(url);
+}
+
+// Cues provided by another pipeline (DASH thumbnail tiles). Ignored when a
+// user track already supplied cues.
+export function setPreviewCues(list) {
+  if (!cues.length && list?.length) cues = [...list].sort((a, b) => a.start - b.start);
+}
+
+export function showSeekPreview(ratio) {
+  const range = rangeOf();
+  if (!range) { hideSeekPreview(); return; }
+
+  const t = range.start + ratio * (range.end - range.start);
+  timeEl.textContent    = range.live ? _behindText(liveEdgeOf() - t) : fmtTime(t);
+  chapterEl.textContent = chapterAt(t)?.title || '';
+  shownAt = ratio;
+  tip.classList.toggle('has-image', _drawAt(t));
+  tip.classList.add('active');
+
+  // Centre over the pointer, kept inside the progress area
+  const x    = bar.offsetLeft + ratio * bar.offsetWidth;
+  const half = tip.offsetWidth / 2;
+  tip.style.left = Math.max(half, Math.min(area.clientWidth - half, x)) + 'px';
+}
+
+export function hideSeekPreview() {
+  shownAt = -1;
+  wanted  = -1;
+  tip.classList.remove('active');
+}
+
+// ─── WebVTT thumbnail tracks ───────────────────────────────────────────────
+//   00:00:00.000 --> 00:00:05.000
+//   sprites/sheet1.jpg#xywh=0,0,160,90
+export function parseThumbnailVtt(text, baseUrl) {
+  const out = [];
+  text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(block => {
+    const lines = block.split('\n').map(l => l.trim()).filter(Boolean);
+    const ti = lines.findIndex(l => l.includes('-->'));
+    if (ti < 0 || !lines[ti + 1]) return;
+    const [a, b] = lines[ti].split('-->').map(s => _vttTime(s.trim().split(/\s+/)[0]));
+    if (a == null || b == null) return;
+
+    const [ref, frag = ''] = lines[ti + 1].split('#');
+    const xywh = frag.match(/xywh=(\d+),(\d+),(\d+),(\d+)/);
+    out.push({
+      start: a,
+      end:   b,
+      url:   new URL(ref, baseUrl).href,
+      ...(xywh ? { x: +xywh[1], y: +xywh[2], w: +xywh[3], h: +xywh[4] } : {}),
+    });
+  });
+  return out.sort((p, q) => p.start - q.start);
+}
+
+async function _loadVttTrack(url, gen) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const list = parseThumbnailVtt(await res.text(), url);
+  if (!list.length) throw new Error('no thumbnail cues');
+  if (gen === sourceGen) cues = list;
+}
+
+// ─── HLS image playlists ───────────────────────────────────────────────────
+// #EXT-X-IMAGE-STREAM-INF:BANDWIDTH=…,RESOLUTION=…,URI="thumbs.m3u8"
+// in the multivariant playlist; each image segment is a tile sheet described
+// by #EXT-X-TILES:RESOLUTION=160x90,LAYOUT=5x5,DURATION=2
+async function _loadHlsImageStream(masterUrl, gen) {
+  const master = await (await fetch(masterUrl)).text();
+  const inf = master.match(/^#EXT-X-IMAGE-STREAM-INF:.*URI="([^"]+)"/m);
+  if (!inf) return;
+
+  const listUrl = new URL(inf[1], masterUrl).href;
+  const lines   = (await (await fetch(listUrl)).text()).split(/\r?\n/).map(l => l.trim());
+  const list = [];
+  let t = 0, extinf = 0, tiles = null;
+
+  lines.forEach(line => {
+    if (line.startsWith('#EXTINF:')) extinf = parseFloat(line.slice(8)) || 0;
+    else if (line.startsWith('#EXT-X-TILES:')) tiles = _attrs(line.slice(13));
+    else if (line && !line.startsWith('#')) {
+      const url = new URL(line, listUrl).href;
+      const [cols, rows] = (tiles?.LAYOUT || '1x1').split('x').map(Number);
+      const [w, h]       = (tiles?.RESOLUTION || '0x0').split('x').map(Number);
+      const each = parseFloat(tiles?.DURATION) || extinf / (cols * rows);
+      for (let i = 0; i < cols * rows; i++) {
+        list.push({
+          start: t, end: t + each, url,
+          ...(w && h ? { x: (i % cols) * w, y: Math.floor(i / cols) * h, w, h } : {}),
+        });
+        t += each;
+      }
+      tiles = null;
+    }
+  });
+  if (gen === sourceGen && list.length) cues = list;
+}
+
+function _attrs(str) {
+  const out = {};
+  str.replace(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g, (_m, k, v) => { out[k] = v.replace(/^"|"$/g, ''); });
+  return out;
+}
+
+// ─── Drawing ───────────────────────────────────────────────────────────────
+// Returns true when an image was drawn for time t
+function _drawAt(t) {
+  if (cues.length) return _drawCue(t);
+  if (probe) return _drawFrame(t);
+  return false;
+}
+
+function _drawCue(t) {
+  const cue = _cueAt(t);
+  if (!cue) return false;
+
+  let img = images.get(cue.url);
+  if (!img) {
+    img = new Image();
+    img.src = cue.url;
+    img.addEventListener('load', () => { if (shownAt >= 0) showSeekPreview(shownAt); }, { once: true });
+    images.set(cue.url, img);
+  }
+  if (!img.complete || !img.naturalWidth) return false;
+
+  const sw = cue.w || img.naturalWidth;
+  const sh = cue.h || img.naturalHeight;
+  _fit(sw / sh);
+  canvas.getContext('2d').drawImage(img, cue.x || 0, cue.y || 0, sw, sh, 0, 0, canvas.width, canvas.height);
+  return true;
+}
+
+function _cueAt(t) {
+  let lo = 0, hi = cues.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (cues[mid].end <= t) lo = mid + 1;
+    else if (cues[mid].start > t) hi = mid - 1;
+    else return cues[mid];
+  }
+  return null;
+}
+
+function _fit(aspect) {
+  const h = Math.round(PREVIEW_W / (aspect || 16 / 9));
+  if (canvas.height !== h) canvas.height = h;
+}
+
+// ─── On-the-fly capture (direct files) ────────────────────────────────────
+function _startProbe(url) {
+  probe = document.createElement('video');
+  probe.crossOrigin = 'anonymous';   // Without CORS the probe errors out and we stay time-only
+  probe.muted   = true;
+  probe.preload = 'metadata';
+  probe.src     = url;
+  probe.addEventListener('error', () => { probe = null; frames.clear(); });
+  probe.addEventListener('seeked', _onProbeSeeked);
+}
+
+function _drawFrame(t) {
+  const bucket = Math.min(FRAME_BUCKETS - 1, Math.floor(t / video.duration * FRAME_BUCKETS));
+  wanted = bucket;
+  const frame = frames.get(bucket);
+  if (!frame) {
+    _seekProbe();
+    // Show the nearest frame already captured while the exact one loads
+    const near = _nearestFrame(bucket);
+    if (!near) return false;
+    _blit(near);
+    return true;
+  }
+  _blit(frame);
+  return true;
+}
+
+function _seekProbe() {
+  if (!probe || seeking || wanted < 0 || frames.has(wanted) || probe.readyState < 1) return;
+  seeking = true;
+  probe.currentTime = (wanted + 0.5) / FRAME_BUCKETS * probe.duration;
+}
+
+function _onProbeSeeked() {
+  seeking = false;
+  if (!probe || !probe.videoWidth) return;
+
+  const bucket = Math.min(FRAME_BUCKETS - 1, Math.floor(probe.currentTime / probe.duration * FRAME_BUCKETS));
+  const c = document.createElement('canvas');
+  c.width  = PREVIEW_W;
+  c.height = Math.round(PREVIEW_W * probe.videoHeight / probe.videoWidth);
+  c.getContext('2d').drawImage(probe, 0, 0, c.width, c.height);
+  frames.set(bucket, c);
+
+  if (shownAt >= 0) showSeekPreview(shownAt);
+  _seekProbe();
+}
+
+function _nearestFrame(bucket) {
+  for (let d = 1; d < 5; d++) {
+    const f = frames.get(bucket - d) || frames.get(bucket + d);
+    if (f) return f;
+  }
+  return null;
+}
+
+function _blit(frame) {
+  if (canvas.height !== frame.height) canvas.height = frame.height;
+  canvas.getContext('2d').drawImage(frame, 0, 0);
+}
+
+// ─── Helpers ───────────────────────────────────────────────────────────────
+function _reset() {
+  cues = [];
+  images = new Map();
+  frames = new Map();
+  seeking = false;
+  wanted  = -1;
+  if (probe) {
+    probe.removeAttribute('src');
+    probe.load();
+    probe = null;
+  }
+  hideSeekPreview();
+}
+
+// Points near or past the live edge read "LIVE", like the time display
+function _behindText(behind) {
+  return behind > LIVE_EDGE_SLACK ? `−${fmtTime(behind)}` : 'LIVE';
+}
+
+function _vttTime(s) {
+  const m = s && s.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/);
+  if (!m) return null;
+  return (+m[1] || 0) * 3600 + +m[2] * 60 + +m[3] + +m[4].padEnd(3, '0') / 1000;
+}
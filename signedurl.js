@@ -0,0 +1,92 @@
+/**
+ * signedurl.js — X Stream & Play
+ * Recognises pre-signed URLs and works out when they stop working:
+ *   S3 SigV4        X-Amz-Date + X-Amz-Expires
+ *   S3 SigV2        Expires (epoch) with AWSAccessKeyId
+ *   CloudFront      Expires (canned policy) or Policy (custom, DateLessThan)
+ *   GCS V4 / V2     X-Goog-Date + X-Goog-Expires, or Expires with GoogleAccessId
+ *   Azure SAS       se (ISO date) with sig
+ * Pure URL parsing — nothing is fetched.
+ */
+
+// Query parameters used by S3, CloudFront, GCS, Azure and most CDN token schemes
+const SIGNED_PARAM_RE = /[?&](X-Amz-Signature|X-Amz-Expires|X-Goog-Signature|X-Goog-Expires|Signature|Expires|Policy|Key-Pair-Id|sig|token)=/i;
+
+export function isSignedUrl(url) {
+  return SIGNED_PARAM_RE.test(url);
+}
+
+// → { scheme, expiresAt (ms) } or null when the URL carries no known expiry
+export function signedUrlExpiry(url) {
+  let q;
+  try {
+    q = _params(new URL(url));
+  } catch (_) {
+    return null;
+  }
+
+  if (q['x-amz-date'] && q['x-amz-expires']) {
+    const start = _amzDate(q['x-amz-date']);
+    return start ? _expiry('S3', start + +q['x-amz-expires'] * 1000) : null;
+  }
+  if (q['x-goog-date'] && q['x-goog-expires']) {
+    const start = _amzDate(q['x-goog-date']);
+    return start ? _expiry('GCS', start + +q['x-goog-expires'] * 1000) : null;
+  }
+  if (q['expires'] && /^\d+$/.test(q['expires'])) {
+    const scheme = q['key-pair-id'] ? 'CloudFront'
+      : q['googleaccessid'] ? 'GCS'
+      : q['awsaccesskeyid'] ? 'S3'
+      : 'Signed';
+    return _expiry(scheme, +q['expires'] * 1000);
+  }
+  if (q['policy'] && q['key-pair-id']) {
+    const end = _cloudFrontPolicyEnd(q['policy']);
+    return end ? _expiry('CloudFront', end) : null;
+  }
+  if (q['se'] && q['sig']) {
+    const end = Date.parse(q['se']);
+    return isFinite(end) ? _expiry('Azure SAS', end) : null;
+  }
+  return null;
+}
+
+// Same file behind a new signature: only the query string differs
+export function isSameSignedResource(oldUrl, newUrl) {
+  if (!isSignedUrl(oldUrl)) return false;
+  try {
+    const a = new URL(oldUrl), b = new URL(newUrl);
+    return a.origin === b.origin && a.pathname === b.pathname;
+  } catch (_) {
+    return false;
+  }
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────
+// Parameter names are matched case-insensitively (S3 accepts either case)
+function _params(u) {
+  const out = {};
+  u.searchParams.forEach((val, key) => { out[key.toLowerCase()] = val; });
+  return out;
+}
+
+// 20240131T120000Z → ms
+function _amzDate(s) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(s);
+  return m ? Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]) : null;
+}
+
+// CloudFront encodes the policy JSON as URL-safe base64 (- _ ~ for + = /)
+function _cloudFrontPolicyEnd(policy) {
+  try {
+    const json = JSON.parse(atob(policy.replace(/-/g, '+').replace(/_/g, '=').replace(/~/g, '/')));
+    const end  = json.Statement?.[0]?.Condition?.DateLessThan?.['AWS:EpochTime'];
+    return end ? end * 1000 : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function _expiry(scheme, expiresAt) {
+  return isFinite(expiresAt) ? { scheme, expiresAt } : null;
+}
@@ -0,0 +1,50 @@
+/**
+ * sparkline.js — X Stream & Play
+ * Tiny rolling line graphs for the Stats for Nerds panel. Stateless: the
+ * caller passes the whole window of values on every redraw.
+ */
+
+// values: numbers, or null where nothing was measured (skipped). opts.max
+// defaults to the window's peak so the line uses the full height; opts.min
+// defaults to 0.
+export function drawSparkline(canvas, values, { color = '#e8c97b', min = 0, max } = {}) {
+  const dpr = window.devicePixelRatio || 1;
+  const w = canvas.clientWidth, h = canvas.clientHeight;
+  if (!w || !h) return;
+  if (canvas.width !== w * dpr || canvas.height !== h * dpr) {
+    canvas.width  = w * dpr;
+    canvas.height = h * dpr;
+  }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+
+  const nums = values.filter(v => v != null && isFinite(v));
+  if (!nums.length) return;
+  const top   = max ?? Math.max(...nums);
+  const range = top - min || 1;
+  const step  = values.length > 1 ? w / (values.length - 1) : w;
+  const y     = v => h - 1 - ((Math.min(top, Math.max(min, v)) - min) / range) * (h - 2);
+
+  // Filled area under the line, then the line itself
+  ctx.beginPath();
+  let open = false, firstX = 0, lastX = 0;
+  values.forEach((v, i) => {
+    if (v == null || !isFinite(v)) return;
+    const x = i * step;
+    if (!open) { ctx.moveTo(x, y(v)); firstX = x; open = true; }
+    else ctx.lineTo(x, y(v));
+    lastX = x;
+  });
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.25;
+  ctx.stroke();
+
+  ctx.lineTo(lastX, h);
+  ctx.lineTo(firstX, h);
+  ctx.closePath();
+  ctx.globalAlpha = 0.15;
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+}
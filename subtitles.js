@@ -0,0 +1,515 @@
+/**
+ * subtitles.js — X Stream & Play
+ * Captions for the player: WebVTT / SRT (converted to VTT on the fly) /
+ * ASS-SSA parsing, an overlay renderer with timing offset and size /
+ * background styling, HLS.js and in-stream text tracks, and the CC menu.
+ * External tracks are attachment records owned by the library entry:
+ *   { id, label, lang, format, url?, text?, offset }
+ */
+
+import { bindMenu, renderMenu, closeMenus } from './menus.js';
+import { escHtml } from './format.js';
+
+// ── Preferences ───────────────────────────────────────────────────────────
+const SIZES = { S: 0.035, M: 0.045, L: 0.058, XL: 0.072 };   // × player height
+const BACKGROUNDS = ['none', 'dim', 'solid'];
+const H_ALIGN = ['left', 'center', 'right'];
+let prefs = Object.assign(
+  { size: 'M', bg: 'dim', enabled: true },
+  JSON.parse(localStorage.getItem('xstream_subs') || '{}')
+);
+
+// ── State ──────────────────────────────────────────────────────────────────
+let external = [];          // Attachment records for the current entry
+const parsed = new Map();   // attachment id → cues
+let hls      = null;        // Active HLS.js instance (if any)
+let active   = null;        // { kind: 'ext', id } | { kind: 'hls', index } | { kind: 'native', track }
+let streamOffset = 0;       // Offset for stream tracks (not persisted)
+let lastKey  = '';
+let raf      = 0;
+
+let deps = { onChange: () => {}, notify: () => {} };
+
+// ── DOM Refs ───────────────────────────────────────────────────────────────
+let video, layer, ccBtn, ccMenu, fileInput;
+
+// ─────────────────────────────────────────────────────────────────────────
+export function initSubtitles(d) {
+  ({ video, layer } = d);
+  ccBtn  = d.button;
+  ccMenu = d.menu;
+  deps   = { ...deps, onChange: d.onChange || deps.onChange, notify: d.notify || deps.notify };
+
+  fileInput = document.createElement('input');
+  fileInput.type   = 'file';
+  fileInput.accept = '.vtt,.srt,.ass,.ssa,text/vtt';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', _onFilePicked);
+  document.body.appendChild(fileInput);
+
+  bindMenu(ccBtn, ccMenu, _renderCcMenu);
+
+  video.addEventListener('timeupdate', _render);
+  video.addEventListener('seeked',     _render);
+  video.addEventListener('play',       _loop);
+
+  // We draw every cue ourselves; keep the browser from rendering them too
+  video.textTracks.addEventListener('addtrack', e => {
+    if (e.track.mode === 'showing') e.track.mode = 'hidden';
+  });
+
+  new ResizeObserver(_applyStyle).observe(layer);
+  _applyStyle();
+}
+
+// ─── Sources (called from player.js on every load) ─────────────────────────
+export function setSubtitleSources(list) {
+  external = (list || []).map(t => ({ ...t }));
+  parsed.clear();
+  streamOffset = 0;
+  _select(null);
+  if (prefs.enabled && external.length) _select({ kind: 'ext', id: external[0].id });
+}
+
+export function attachHls(instance) {
+  hls = instance;
+  if (!hls) return;
+  hls.subtitleDisplay = false;
+
+  // Adopt a DEFAULT=YES track that HLS.js auto-selected
+  hls.on(Hls.Events.SUBTITLE_TRACK_SWITCH, (_e, data) => {
+    if (!active && prefs.enabled && data.id >= 0) {
+      active = { kind: 'hls', index: data.id };
+      _updateButton();
+    }
+  });
+}
+
+// Keyboard "C": toggle between off and the first available track
+export function toggleSubtitles() {
+  if (active) {
+    _select(null);
+    prefs.enabled = false;
+  } else {
+    const first = _allTracks()[0];
+    if (!first) { deps.notify('No subtitles for this video.'); return; }
+    _select(first.ref);
+    prefs.enabled = true;
+  }
+  _savePrefs();
+}
+
+// ─── Selection ────────────────────────────────────────────────────────────
+async function _select(ref) {
+  if (hls && ref?.kind !== 'hls') hls.subtitleTrack = -1;
+  active  = ref;
+  lastKey = '';
+
+  if (ref?.kind === 'hls') {
+    hls.subtitleTrack   = ref.index;
+    hls.subtitleDisplay = false;
+  } else if (ref?.kind === 'native') {
+    ref.track.mode = 'hidden';
+  } else if (ref?.kind === 'ext' && !parsed.has(ref.id)) {
+    const rec = external.find(t => t.id === ref.id);
+    try {
+      const text = rec.text ?? await _fetchText(rec.url);
+      parsed.set(rec.id, parseSubtitles(text, rec.format));
+    } catch (e) {
+      deps.notify('Could not load subtitles: ' + e.message, 'error');
+      if (active === ref) active = null;
+    }
+  }
+
+  _updateButton();
+  _render();
+}
+
+// Every selectable track: external attachments, HLS renditions, then any
+// other in-stream text tracks (CEA-608 captions, in-band MP4 tracks).
+// Track being shown, for the stats panel ("English · HLS"), or null when off
+export function activeSubtitleLabel() {
+  const t = _allTracks().find(t => _isActive(t.ref));
+  return t ? [t.label, t.hint].filter(Boolean).join(' · ') : null;
+}
+
+function _allTracks() {
+  const out = external.map(t => ({
+    ref: { kind: 'ext', id: t.id },
+    label: t.label || 'Subtitles',
+    hint: [t.lang, (t.format || '').toUpperCase()].filter(Boolean).join(' · '),
+    rec: t,
+  }));
+
+  const hlsNames = new Set();
+  (hls?.subtitleTracks || []).forEach((t, i) => {
+    hlsNames.add(t.name);
+    out.push({ ref: { kind: 'hls', index: i }, label: t.name || t.lang || `Track ${i + 1}`, hint: t.lang || 'HLS' });
+  });
+
+  Array.from(video.textTracks).forEach(track => {
+    if (!['subtitles', 'captions'].includes(track.kind) || hlsNames.has(track.label)) return;
+    out.push({ ref: { kind: 'native', track }, label: track.label || track.language || 'Captions', hint: 'In-stream' });
+  });
+  return out;
+}
+
+function _isActive(ref) {
+  if (!active || !ref || active.kind !== ref.kind) return false;
+  if (ref.kind === 'ext')    return active.id === ref.id;
+  if (ref.kind === 'hls')    return active.index === ref.index;
+  return active.track === ref.track;
+}
+
+// ─── Adding / removing attachments ──────────────────────────────────────────
+async function _onFilePicked() {
+  const file = fileInput.files[0];
+  fileInput.value = '';
+  if (!file) return;
+  const text = await file.text();
+  _attach({ label: file.name.replace(/\.[^.]+$/, ''), format: detectFormat(file.name, text), text });
+}
+
+async function _addFromUrl() {
+  closeMenus();
+  const url = (prompt('Subtitle URL (.vtt, .srt, .ass):') || '').trim();
+  if (!url) return;
+  try {
+    const text  = await _fetchText(url);
+    const label = decodeURIComponent(new URL(url).pathname.split('/').pop() || '').replace(/\.[^.]+$/, '');
+    _attach({ label: label || 'Subtitles', format: detectFormat(url, text), url }, text);
+  } catch (e) {
+    deps.notify('Could not load subtitles: ' + e.message, 'error');
+  }
+}
+
+function _attach(rec, fetchedText) {
+  const cues = parseSubtitles(fetchedText ?? rec.text, rec.format);
+  if (!cues.length) { deps.notify('No cues found in that subtitle file.', 'error'); return; }
+
+  rec = { id: Date.now(), lang: '', offset: 0, ...rec };
+  external.push(rec);
+  parsed.set(rec.id, cues);
+  deps.onChange(external.map(t => ({ ...t })));
+  deps.notify(`Subtitles added: ${rec.label}`, 'success');
+
+  prefs.enabled = true;
+  _savePrefs();
+  _select({ kind: 'ext', id: rec.id });
+}
+
+function _remove(id) {
+  external = external.filter(t => t.id !== id);
+  parsed.delete(id);
+  if (active?.kind === 'ext' && active.id === id) _select(null);
+  deps.onChange(external.map(t => ({ ...t })));
+  _renderCcMenu();
+}
+
+// ─── Offset & styling ──────────────────────────────────────────────────────
+function _offset() {
+  if (active?.kind === 'ext') return external.find(t => t.id === active.id)?.offset || 0;
+  return streamOffset;
+}
+
+function _shiftOffset(delta) {
+  const next = delta === 0 ? 0 : Math.round((_offset() + delta) * 10) / 10;
+  if (active?.kind === 'ext') {
+    const rec = external.find(t => t.id === active.id);
+    rec.offset = next;
+    deps.onChange(external.map(t => ({ ...t })));
+  } else {
+    streamOffset = next;
+  }
+  lastKey = '';
+  _render();
+  _renderCcMenu();
+}
+
+function _applyStyle() {
+  layer.style.fontSize = Math.max(12, layer.clientHeight * SIZES[prefs.size]) + 'px';
+  layer.dataset.bg = prefs.bg;
+}
+
+function _savePrefs() {
+  localStorage.setItem('xstream_subs', JSON.stringify(prefs));
+}
+
+// ─── CC menu ──────────────────────────────────────────────────────────────
+function _renderCcMenu() {
+  const tracks = _allTracks();
+  const off    = _offset();
+  const setPref = (key, val) => () => {
+    prefs[key] = val;
+    _savePrefs();
+    _applyStyle();
+    _renderCcMenu();
+  };
+
+  renderMenu(ccMenu, [
+    { head: 'Subtitles' },
+    { label: 'Off', active: !active, onClick: () => { prefs.enabled = false; _savePrefs(); _select(null); _renderCcMenu(); } },
+    ...tracks.map(t => ({
+      label: t.label,
+      hint: t.hint,
+      active: _isActive(t.ref),
+      onClick: () => { prefs.enabled = true; _savePrefs(); _select(t.ref).then(_renderCcMenu); },
+      onRemove: t.rec ? () => _remove(t.rec.id) : null,
+    })),
+    { divider: true },
+    { label: 'Load from file…', onClick: () => { closeMenus(); fileInput.click(); } },
+    { label: 'Load from URL…',  onClick: _addFromUrl },
+    { divider: true },
+    { label: 'Offset', options: [
+      { label: '−0.5', onClick: () => _shiftOffset(-0.5) },
+      { label: `${off > 0 ? '+' : ''}${off.toFixed(1)}s`, active: off !== 0, onClick: () => _shiftOffset(0) },
+      { label: '+0.5', onClick: () => _shiftOffset(+0.5) },
+    ] },
+    { label: 'Size', options: Object.keys(SIZES).map(k => ({
+      label: k, active: prefs.size === k, onClick: setPref('size', k),
+    })) },
+    { label: 'Background', options: BACKGROUNDS.map(b => ({
+      label: b[0].toUpperCase() + b.slice(1), active: prefs.bg === b, onClick: setPref('bg', b),
+    })) },
+  ]);
+}
+
+function _updateButton() {
+  ccBtn.classList.toggle('on', !!active);
+}
+
+// ─── Renderer ──────────────────────────────────────────────────────────────
+function _loop() {
+  cancelAnimationFrame(raf);
+  const step = () => {
+    _render();
+    if (!video.paused && active) raf = requestAnimationFrame(step);
+  };
+  step();
+}
+
+function _render() {
+  const cues = active ? _activeCues(video.currentTime - _offset()) : [];
+  const key  = cues.map(c => c.start + ':' + c.html).join('|');
+  if (key === lastKey) return;
+  lastKey = key;
+
+  // Group by vertical band (numpad alignment: 1-3 bottom, 4-6 middle, 7-9 top)
+  const bands = { top: [], middle: [], bottom: [] };
+  cues.forEach(c => {
+    const a = c.align || 2;
+    bands[a >= 7 ? 'top' : a >= 4 ? 'middle' : 'bottom'].push(c);
+  });
+
+  layer.innerHTML = Object.entries(bands).filter(([, list]) => list.length).map(([band, list]) => `
+    <div class="sub-band sub-${band}">
+      ${list.map(c => `<div class="sub-cue" style="text-align:${H_ALIGN[((c.align || 2) - 1) % 3]};${c.css || ''}"><span>${c.html}</span></div>`).join('')}
+    </div>`).join('');
+}
+
+function _activeCues(t) {
+  if (active.kind === 'ext') {
+    return (parsed.get(active.id) || []).filter(c => c.start <= t && t < c.end);
+  }
+  const track = active.kind === 'native' ? active.track : _hlsTextTrack();
+  if (!track?.cues) return [];
+  return Array.from(track.cues)
+    .filter(c => c.startTime <= t && t < c.endTime)
+    .map(c => ({
+      start: c.startTime,
+      html: _vttHtml(c.text || ''),
+      align: typeof c.line === 'number' && c.line >= 0 && c.line < 5 ? 8 : 2,
+    }));
+}
+
+function _hlsTextTrack() {
+  const name = hls?.subtitleTracks?.[active.index]?.name;
+  return Array.from(video.textTracks).find(t => t.label === name && t.mode !== 'disabled');
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Parsing
+// ─────────────────────────────────────────────────────────────────────────
+// Cue: { start, end, text, html, align (numpad 1-9), css }
+export function parseSubtitles(text, format) {
+  if (format === 'ass' || format === 'ssa') return parseAss(text);
+  if (format === 'srt') return parseVtt(srtToVtt(text));
+  return parseVtt(text);
+}
+
+export function detectFormat(name, text) {
+  const ext = (name.split(/[?#]/)[0].split('.').pop() || '').toLowerCase();
+  if (['vtt', 'srt', 'ass', 'ssa'].includes(ext)) return ext;
+  if (/^\uFEFF?WEBVTT/.test(text)) return 'vtt';
+  if (/\[Script Info\]/i.test(text)) return 'ass';
+  return 'srt';
+}
+
+export function srtToVtt(text) {
+  const body = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/(\d{1,2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')
+    .replace(/^\d+\n(?=[\d:.]+\s*-->)/gm, '');
+  return 'WEBVTT\n\n' + body.trim() + '\n';
+}
+
+export function parseVtt(text) {
+  const cues = [];
+  text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(block => {
+    const lines = block.split('\n');
+    const i = lines.findIndex(l => l.includes('-->'));
+    if (i < 0) return;
+    const m = lines[i].match(/([\d:.]+)\s*-->\s*([\d:.]+)(.*)$/);
+    if (!m) return;
+    const body = lines.slice(i + 1).join('\n').replace(/\n+$/, '');
+    const line = m[3].match(/line:(-?[\d.]+)(%?)/);
+    const top  = line && (line[2] ? +line[1] < 20 : +line[1] >= 0 && +line[1] < 5);
+    cues.push({
+      start: _ts(m[1]),
+      end:   _ts(m[2]),
+      text:  body,
+      html:  _vttHtml(body),
+      align: top ? 8 : 2,
+    });
+  });
+  return cues;
+}
+
+export function parseAss(text) {
+  const cues   = [];
+  const styles = {};
+  let section  = '';
+  let styleFmt = [];
+  let eventFmt = [];
+  let playResY = 288;
+  let legacy   = false;   // SSA v4 alignment numbering
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (/^\[.+\]$/.test(line)) { section = line.toLowerCase(); return; }
+    const m = line.match(/^([^:;]+):\s*(.*)$/);
+    if (!m) return;
+    const [, key, val] = m;
+
+    if (section === '[script info]') {
+      if (key === 'PlayResY') playResY = +val || playResY;
+      if (key === 'ScriptType') legacy = !/\+/.test(val);
+    } else if (section.includes('styles')) {
+      if (key === 'Format') styleFmt = val.split(',').map(s => s.trim());
+      if (key === 'Style') {
+        const st = _assFields(val, styleFmt);
+        styles[st.Name] = st;
+      }
+    } else if (section === '[events]') {
+      if (key === 'Format') eventFmt = val.split(',').map(s => s.trim());
+      if (key === 'Dialogue') {
+        const ev = _assFields(val, eventFmt);
+        const cue = _assCue(ev, styles[ev.Style] || styles.Default || {}, playResY, legacy);
+        if (cue) cues.push(cue);
+      }
+    }
+  });
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+function _assCue(ev, style, playResY, legacy) {
+  const start = _ts(ev.Start || '');
+  const end   = _ts(ev.End || '');
+  if (!(end > start)) return null;
+
+  const css = [];
+  if (style.PrimaryColour) css.push(`color:${_assColor(style.PrimaryColour)}`);
+  if (+style.Bold)         css.push('font-weight:bold');
+  if (+style.Italic)       css.push('font-style:italic');
+  if (+style.Underline)    css.push('text-decoration:underline');
+  if (+style.Fontsize) {
+    const scale = Math.min(2, Math.max(0.6, (+style.Fontsize / playResY) / 0.05));
+    css.push(`font-size:${scale.toFixed(2)}em`);
+  }
+
+  let align = +style.Alignment || 2;
+  if (legacy) align = align >= 9 ? align - 5 : align >= 5 ? align + 2 : align;
+
+  const body = _assHtml(ev.Text || '');
+  return {
+    start, end,
+    text: body.plain,
+    html: body.html,
+    align: body.align || align,
+    css: css.join(';'),
+  };
+}
+
+// Inline override blocks: {\b1} {\i1} {\u1} {\c&HBBGGRR&} {\an8} {\r}
+function _assHtml(text) {
+  let html  = '';
+  let plain = '';
+  let open  = 0;
+  let align = null;
+
+  text
+    .replace(/\\N/g, '\n').replace(/\\n/g, ' ').replace(/\\h/g, '\u00a0')
+    .split(/(\{[^}]*\})/)
+    .forEach(part => {
+      if (!part.startsWith('{')) {
+        html  += escHtml(part).replace(/\n/g, '<br>');
+        plain += part;
+        return;
+      }
+      const css = [];
+      part.slice(1, -1).split('\\').slice(1).forEach(tag => {
+        let m;
+        if ((m = tag.match(/^an([1-9])/)))               align = +m[1];
+        else if ((m = tag.match(/^b(\d+)/)))             css.push(`font-weight:${m[1] === '0' ? 'normal' : 'bold'}`);
+        else if ((m = tag.match(/^i([01])/)))            css.push(`font-style:${m[1] === '1' ? 'italic' : 'normal'}`);
+        else if ((m = tag.match(/^u([01])/)))            css.push(`text-decoration:${m[1] === '1' ? 'underline' : 'none'}`);
+        else if ((m = tag.match(/^1?c&H([0-9a-f]+)&?/i))) css.push(`color:${_assColor(m[1])}`);
+        else if (tag === 'r') { html += '</span>'.repeat(open); open = 0; }
+      });
+      if (css.length) {
+        html += `<span style="${css.join(';')}">`;
+        open++;
+      }
+    });
+
+  return { html: html + '</span>'.repeat(open), plain, align };
+}
+
+// &HAABBGGRR (alpha 00 = opaque) → rgba()
+function _assColor(v) {
+  const hex = v.replace(/^&H|&$/gi, '').padStart(8, '0').slice(-8);
+  const a = 1 - parseInt(hex.slice(0, 2), 16) / 255;
+  const b = parseInt(hex.slice(2, 4), 16);
+  const g = parseInt(hex.slice(4, 6), 16);
+  const r = parseInt(hex.slice(6, 8), 16);
+  return `rgba(${r},${g},${b},${a.toFixed(2)})`;
+}
+
+// Split a comma-separated ASS line; the last field (Text) may hold commas
+function _assFields(val, fmt) {
+  const parts = val.split(',');
+  const head  = parts.slice(0, fmt.length - 1);
+  const rest  = parts.slice(fmt.length - 1).join(',');
+  return Object.fromEntries(fmt.map((k, i) => [k, (i < fmt.length - 1 ? head[i] : rest)?.trim() ?? '']));
+}
+
+// Keep <b>, <i>, <u>; drop voice, class and timestamp tags
+function _vttHtml(text) {
+  return escHtml(text)
+    .replace(/&lt;(\/?)(b|i|u)&gt;/g, '<$1$2>')
+    .replace(/&lt;\/?[a-z0-9][^<>]*?&gt;/gi, '')
+    .replace(/\n/g, '<br>');
+}
+
+// "01:02:03.456" / "02:03.456" / ASS "1:02:03.45" → seconds
+function _ts(str) {
+  const p = str.trim().replace(',', '.').split(':').map(parseFloat);
+  return p.reduce((acc, v) => acc * 60 + v, 0);
+}
+
+async function _fetchText(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.text();
+}
@@ -0,0 +1,115 @@
+/**
+ * sw.js — X Stream & Play
+ * Service worker: keeps the app shell (pages, modules, styles, the vendored
+ * HLS.js) in Cache Storage so the library opens without a network. Shell
+ * files are network-first, so a deploy shows up on the next online load;
+ * Google Fonts are cached as they are used. Video traffic (files, playlists,
+ * segments, range requests) is never intercepted — offline videos come from
+ * IndexedDB (offline.js), not from here.
+ * Add new modules to SHELL; bump SHELL_CACHE when the list changes.
+ */
+
+const SHELL_CACHE = 'xstream-shell-v4';
+const FONT_CACHE  = 'xstream-fonts-v1';
+const FONT_HOSTS  = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const SHELL = [
+  './',
+  'index.html',
+  'embed.html',
+  'styles.css',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'hls-config.js',
+  'vendor/hls.min.js',
+  'theme.js',
+  'player.js',
+  'player-core.js',
+  'player-markup.js',
+  'dash.js',
+  'subtitles.js',
+  'menus.js',
+  'seekpreview.js',
+  'chapters.js',
+  'review.js',
+  'qoe.js',
+  'sparkline.js',
+  'deeplink.js',
+  'offline.js',
+  'library.js',
+  'library-io.js',
+  'attachments.js',
+  'playlists.js',
+  'details.js',
+  'thumbs.js',
+  'linkcheck.js',
+  'signedurl.js',
+  'embed.js',
+  'format.js',
+];
+
+self.addEventListener('install', e => {
+  e.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+// Drop caches of earlier versions
+self.addEventListener('activate', e => {
+  const keep = [SHELL_CACHE, FONT_CACHE];
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', e => {
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    e.respondWith(_cacheFirst(req, FONT_CACHE));
+  } else if (req.mode === 'navigate' && url.origin === location.origin) {
+    // Any page URL (share target ?url=…, deep links) falls back to its cached page
+    e.respondWith(_networkFirst(req, { ignoreSearch: true }));
+  } else if (url.origin === location.origin && !req.headers.has('range') && _isShell(url)) {
+    e.respondWith(_networkFirst(req));
+  }
+});
+
+function _isShell(url) {
+  const scope = new URL(self.registration.scope);
+  const path  = url.pathname.slice(scope.pathname.length);
+  return path === '' || SHELL.includes(path);
+}
+
+async function _networkFirst(req, matchOpts = {}) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    // Pages are stored once, not per query string
+    if (res.ok) cache.put(matchOpts.ignoreSearch ? _withoutSearch(req.url) : req, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(req, matchOpts);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function _cacheFirst(req, cacheName) {
+  const cache  = await caches.open(cacheName);
+  const cached = await cache.match(req);
+  if (cached) return cached;
+  const res = await fetch(req);
+  // Cross-origin stylesheets / font files come back opaque without CORS; still cacheable
+  if (res.ok || res.type === 'opaque') cache.put(req, res.clone());
+  return res;
+}
+
+function _withoutSearch(href) {
+  const u = new URL(href);
+  u.search = '';
+  u.hash   = '';
+  return u.href;
+}
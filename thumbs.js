@@ -0,0 +1,222 @@
+/**
+ * thumbs.js — X Stream & Play
+ * Automatic card thumbnails: a poster frame and a horizontal sprite strip of
+ * evenly spaced frames, grabbed through a hidden CORS-enabled <video> and a
+ * canvas, cached as Blobs in IndexedDB keyed by library entry id. Streams
+ * (HLS/DASH) can't be probed cheaply, so the library hands in a frame from
+ * the player instead once the first segment has played.
+ */
+
+const DB_NAME        = 'xstream_thumbs';
+const STORE          = 'thumbs';
+const POSTER_W       = 320;
+const FRAME_W        = 160;
+const SPRITE_FRAMES  = 10;
+const GEN_TIMEOUT_MS = 30000;
+
+// ── State ──────────────────────────────────────────────────────────────────
+// id → { poster, sprite, frames } object URLs, or null once known to be missing
+const cache = new Map();
+let dbPromise = null;
+let genQueue  = Promise.resolve();   // Generation runs one probe at a time
+
+// ─── Public API ────────────────────────────────────────────────────────────
+// Synchronous lookup for render(); undefined until loadThumbs() resolves.
+export function getThumb(id) {
+  return cache.get(id) || null;
+}
+
+// Look the entry up in IndexedDB and, if missing and `generate` is set,
+// probe the URL for frames. `persist: false` keeps the result in memory only
+// (local files). Resolves true when thumbnails are available.
+export async function loadThumbs(id, url, { generate = true, persist = true } = {}) {
+  if (cache.get(id)) return true;
+
+  const stored = persist ? await _get(id).catch(() => null) : null;
+  if (stored) {
+    _cacheRecord(id, stored);
+    return true;
+  }
+  if (!generate) {
+    cache.set(id, null);
+    return false;
+  }
+
+  const rec = await _enqueue(() => _generate(url));
+  if (!rec) {
+    cache.set(id, null);
+    return false;
+  }
+  _cacheRecord(id, rec);
+  if (persist) _put(id, rec).catch(() => {});
+  return true;
+}
+
+// Store a poster grabbed elsewhere (a player frame as a data URL) unless the
+// entry already has thumbnails. Resolves true when the poster was stored.
+export async function savePoster(id, dataUrl, { persist = true } = {}) {
+  if (!dataUrl || cache.get(id)) return false;
+  const poster = await (await fetch(dataUrl)).blob();
+  const rec = { poster, sprite: null, frames: 0, updatedAt: Date.now() };
+  _cacheRecord(id, rec);
+  if (persist) _put(id, rec).catch(() => {});
+  return true;
+}
+
+export function deleteThumbs(id) {
+  _revoke(id);
+  cache.delete(id);
+  _tx('readwrite', s => s.delete(id)).catch(() => {});
+}
+
+export function clearThumbs() {
+  [...cache.keys()].forEach(_revoke);
+  cache.clear();
+  _tx('readwrite', s => s.clear()).catch(() => {});
+}
+
+// Drop stored thumbnails of entries that are no longer in the library
+export function pruneThumbs(knownIds) {
+  const known = new Set(knownIds);
+  _tx('readonly', s => s.getAllKeys())
+    .then(keys => keys.filter(k => !known.has(k)).forEach(deleteThumbs))
+    .catch(() => {});
+}
+
+// Scrub the sprite strip of whichever .card-thumb the pointer is over
+export function bindHoverPreview(container) {
+  container.addEventListener('mousemove', e => {
+    const thumb   = e.target.closest('.card-thumb');
+    const preview = thumb?.querySelector('.thumb-preview');
+    if (!preview) return;
+    const frames = +preview.dataset.frames;
+    const r      = thumb.getBoundingClientRect();
+    const idx    = Math.min(frames - 1, Math.max(0, Math.floor((e.clientX - r.left) / r.width * frames)));
+    preview.style.backgroundPosition = `${(idx / (frames - 1)) * 100}% 0`;
+  });
+}
+
+// ─── Generation ────────────────────────────────────────────────────────────
+function _enqueue(job) {
+  const run = genQueue.then(job, job);
+  genQueue = run.catch(() => {});
+  return run;
+}
+
+// Resolves { poster, sprite, frames } Blobs, or null when the source can't
+// be read back (no CORS, unsupported codec, timeout).
+function _generate(url) {
+  return new Promise(resolve => {
+    const probe = document.createElement('video');
+    probe.crossOrigin = 'anonymous';   // Required for canvas read-back
+    probe.muted       = true;
+    probe.preload     = 'auto';
+    probe.playsInline = true;
+
+    let finished = false;
+    const done = rec => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      probe.removeAttribute('src');
+      probe.load();
+      resolve(rec);
+    };
+    const timer = setTimeout(() => done(null), GEN_TIMEOUT_MS);
+
+    probe.addEventListener('error', () => done(null));
+    probe.addEventListener('loadedmetadata', () => {
+      _drawFrames(probe).then(done, () => done(null));
+    }, { once: true });
+    probe.src = url;
+  });
+}
+
+async function _drawFrames(probe) {
+  const d = probe.duration;
+  if (!isFinite(d) || !d || !probe.videoWidth) return null;
+  const ratio = probe.videoHeight / probe.videoWidth;
+
+  // Poster a little way in, past black intro frames
+  const poster = _canvas(POSTER_W, Math.round(POSTER_W * ratio));
+  await _seek(probe, Math.min(d * 0.1, 60));
+  poster.getContext('2d').drawImage(probe, 0, 0, poster.width, poster.height);
+
+  const frameH = Math.round(FRAME_W * ratio);
+  const sprite = _canvas(FRAME_W * SPRITE_FRAMES, frameH);
+  const ctx    = sprite.getContext('2d');
+  for (let i = 0; i < SPRITE_FRAMES; i++) {
+    await _seek(probe, d * (i + 0.5) / SPRITE_FRAMES);
+    ctx.drawImage(probe, i * FRAME_W, 0, FRAME_W, frameH);
+  }
+
+  return {
+    poster:    await _toBlob(poster),
+    sprite:    await _toBlob(sprite),
+    frames:    SPRITE_FRAMES,
+    updatedAt: Date.now(),
+  };
+}
+
+function _seek(probe, t) {
+  return new Promise(resolve => {
+    probe.addEventListener('seeked', resolve, { once: true });
+    probe.currentTime = t;
+  });
+}
+
+function _canvas(w, h) {
+  const c = document.createElement('canvas');
+  c.width  = w;
+  c.height = h;
+  return c;
+}
+
+// toBlob throws SecurityError on a tainted canvas
+function _toBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(b => (b ? resolve(b) : reject(new Error('Empty frame'))), 'image/jpeg', 0.75);
+  });
+}
+
+// ─── Cache ─────────────────────────────────────────────────────────────────
+function _cacheRecord(id, rec) {
+  _revoke(id);
+  cache.set(id, {
+    poster: rec.poster ? URL.createObjectURL(rec.poster) : null,
+    sprite: rec.sprite ? URL.createObjectURL(rec.sprite) : null,
+    frames: rec.frames || 0,
+  });
+}
+
+function _revoke(id) {
+  const c = cache.get(id);
+  if (!c) return;
+  if (c.poster) URL.revokeObjectURL(c.poster);
+  if (c.sprite) URL.revokeObjectURL(c.sprite);
+}
+
+// ─── IndexedDB ─────────────────────────────────────────────────────────────
+function _db() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+function _tx(mode, fn) {
+  return _db().then(db => new Promise((resolve, reject) => {
+    const tx  = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror    = () => reject(tx.error);
+  }));
+}
+
+function _get(id) { return _tx('readonly', s => s.get(id)); }
+function _put(id, rec) { return _tx('readwrite', s => s.put(rec, id)); }